@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command line runner for the Ninja RMM to Snipe-IT sync, for use outside the
+ * Azure Functions host (from a workstation or a cron job).
+ * @module cli
+ * @requires crypto
+ * @requires fs
+ * @requires path
+ * @requires util
+ * @requires ../src/sync/syncPipeline
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { runSync, listDevices } = require('../src/sync/syncPipeline');
+
+/**
+ * Exit codes: the run succeeded, the run failed, or the command line or configuration is invalid.
+ * @private
+ */
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: ninja-snipe-sync <command> [options]
+
+Commands:
+  sync                 Sync devices from Ninja RMM to Snipe-IT and print the run report
+  plan                 Dry-run: print the changes a sync would make without writing them
+  list-devices         List the devices the sync would process
+
+Options:
+  --device <id>        Only this Ninja device ID (repeatable)
+  --organization <o>   Only devices of this Ninja organization name or ID (repeatable)
+  --node-class <c>     Only devices of this node class (repeatable)
+  --full               Sync every device even when delta sync is enabled
+  --export <path>      Read devices from a Ninja CSV/JSON export instead of the API
+  --config <path>      Settings file, flat JSON or local.settings.json format
+                       (defaults to ./local.settings.json if present)
+  --json               Print list-devices output as JSON
+  --quiet              Only log errors
+  --help               Show this help
+
+Settings are read from the environment; values in the settings file fill in unset variables.
+Logs are written to stderr and results to stdout. Exit codes: 0 success, 1 sync failed,
+2 invalid command line or settings.`;
+
+/**
+ * Parses the command line, loads settings and runs the command.
+ * @private
+ * @param {Array<string>} argv - Command line arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                device: { type: 'string', multiple: true },
+                organization: { type: 'string', multiple: true },
+                'node-class': { type: 'string', multiple: true },
+                full: { type: 'boolean' },
+                export: { type: 'string' },
+                config: { type: 'string' },
+                json: { type: 'boolean' },
+                quiet: { type: 'boolean' },
+                help: { type: 'boolean' }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    const { values, positionals } = args;
+    const [command] = positionals;
+    if (values.help) {
+        console.error(USAGE);
+        return EXIT_OK;
+    }
+    if (!['sync', 'plan', 'list-devices'].includes(command) || positionals.length > 1) {
+        console.error(`${command ? `Unknown command "${positionals.join(' ')}"` : 'No command given'}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    try {
+        loadSettings(values.config);
+    } catch (error) {
+        console.error(error.message);
+        return EXIT_USAGE;
+    }
+
+    if (values.export) {
+        process.env.NinjaExportPath = values.export;
+    }
+
+    const context = createConsoleContext(values.quiet);
+    const filters = Object.fromEntries(
+        [['deviceId', values.device], ['organization', values.organization], ['nodeClass', values['node-class']]]
+            .filter(([, value]) => value)
+    );
+
+    try {
+        if (command === 'list-devices') {
+            const devices = await listDevices(context, { filters });
+            printDevices(devices, values.json);
+            return EXIT_OK;
+        }
+
+        const outcome = await runSync(context, {
+            dryRun: command === 'plan' ? true : undefined,
+            filters,
+            force: values.full,
+            trigger: 'cli'
+        });
+
+        printJson(command === 'plan' ? outcome.plan : outcome.report);
+        return EXIT_OK;
+    } catch (error) {
+        context.error(`${command} failed:`, error.message);
+        if (error.report) {
+            printJson(error.report);
+        }
+        return EXIT_FAILED;
+    }
+}
+
+/**
+ * Copies settings from a settings file into unset environment variables. Both flat JSON objects
+ * and the local.settings.json format (settings under "Values") are accepted.
+ * @private
+ * @param {string} [configPath] - Settings file; ./local.settings.json is used if present when omitted
+ * @throws {Error} If the file cannot be read or is not a JSON object
+ */
+function loadSettings(configPath) {
+    const filePath = path.resolve(configPath || 'local.settings.json');
+    if (!configPath && !fs.existsSync(filePath)) {
+        return;
+    }
+
+    let settings;
+    try {
+        settings = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load settings from ${filePath}: ${error.message}`);
+    }
+
+    const values = settings?.Values || settings;
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`Settings file ${filePath} must contain a JSON object`);
+    }
+
+    Object.entries(values).forEach(([name, value]) => {
+        if (process.env[name] === undefined && value !== null) {
+            process.env[name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    });
+}
+
+/**
+ * Creates a logging context compatible with the Azure Function context the sync expects.
+ * @private
+ * @param {boolean} quiet - Only log errors
+ * @returns {Object} Context with invocationId, log, warn and error
+ */
+function createConsoleContext(quiet) {
+    return {
+        invocationId: crypto.randomUUID(),
+        log: (...args) => {
+            if (!quiet) {
+                console.error(...args);
+            }
+        },
+        warn: (...args) => console.error(...args),
+        error: (...args) => console.error(...args)
+    };
+}
+
+/**
+ * Prints devices as a table, or as JSON.
+ * @private
+ * @param {Array<Object>} devices - Normalized devices
+ * @param {boolean} json - Print JSON instead of a table
+ */
+function printDevices(devices, json) {
+    if (json) {
+        printJson(devices);
+        return;
+    }
+
+    const rows = [
+        ['ID', 'NAME', 'NODE CLASS', 'SERIAL', 'ORGANIZATION'],
+        ...devices.map(device => [
+            device.id,
+            device.systemName,
+            device.nodeClass,
+            device.system?.serialNumber,
+            device.organizationName || device.organizationId
+        ].map(value => (value === undefined || value === null ? '' : String(value))))
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+
+    rows.forEach(row => {
+        process.stdout.write(`${row.map((value, column) => value.padEnd(widths[column])).join('  ').trimEnd()}\n`);
+    });
+    process.stdout.write(`\n${devices.length} devices\n`);
+}
+
+/**
+ * Prints a value as indented JSON.
+ * @private
+ * @param {*} value - Value to print
+ */
+function printJson(value) {
+    process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -2,52 +2,40 @@
  * @fileoverview Azure Function that syncs device information from Ninja RMM to Snipe-IT.
  * @module getDevices
  * @requires @azure/functions
- * @requires ../services/snipeService
- * @requires ../services/ninjaService
+ * @requires ../sync/syncPipeline
  */
 
 const { app } = require('@azure/functions');
-const SnipeService = require('../services/snipeService');
-const NinjaService = require('../services/ninjaService');
+const { runSync } = require('../sync/syncPipeline');
 
 /**
  * Timer triggered function to sync devices between Ninja RMM and Snipe-IT.
  * Runs every hour to fetch device information from Ninja RMM and update Snipe-IT accordingly.
+ * When SyncDryRun is "true" no changes are written to Snipe-IT; the planned changes are
+ * logged and, if SyncPlanOutputPath is set, saved there as JSON. Each run's report is kept in the
+ * sync state, and the invocation fails when the run does (see SyncMaxErrorPercent).
  * 
  * @function getDevices
  * @param {Object} myTimer - Timer information
  * @param {Object} context - Azure Function context for logging
- * @returns {Promise<Object>} Object containing the number of devices processed
+ * @returns {Promise<Object>} Object containing the run report, and the plan in dry-run mode
  * @throws {Error} If required environment variables are missing or API calls fail
  */
 app.timer('getDevices', {
     schedule: '0 0 * * * *', // Runs at the start of every hour
     handler: async (myTimer, context) => {
         try {
-            // Validate environment variables
-            await validateEnvironment(context);
+            const { dryRun, deviceCount, report, plan } = await runSync(context, { trigger: 'timer' });
 
-            // Initialize services
-            const ninjaService = new NinjaService(
-                process.env.NinjaBaseUrl,
-                process.env.NinjaClientID,
-                process.env.NinjaClientSecret
-            );
+            if (dryRun) {
+                return { body: JSON.stringify({ dryRun: true, devices: deviceCount, report, plan }) };
+            }
 
-            const snipeService = new SnipeService(
-                process.env.SnipeBaseURL,
-                process.env.SnipeAPIKey
-            );
-            
-            // Get and process Ninja RMM devices
-            const devices = await ninjaService.getDevices(context);
-            const processedDevices = ninjaService.processDevices(devices, context);
-
-            // Sync with Snipe-IT
-            await snipeService.syncDevices(processedDevices, context);
-
-            context.log(`Successfully processed ${processedDevices.length} devices and synced with Snipe-IT`);
-            return { body: `Processed ${processedDevices.length} devices` };
+            const { created, updated, unchanged, skipped, failed, retired } = report.counts;
+            context.log(`Synced ${deviceCount} devices with Snipe-IT in ${report.durationMs} ms: ` +
+                `${created} created, ${updated} updated, ${unchanged} unchanged, ${skipped} skipped, ` +
+                `${failed} failed, ${retired} retired`);
+            return { body: JSON.stringify(report) };
 
         } catch (error) {
             context.error('Error in getDevices function:', error);
@@ -55,28 +43,3 @@ app.timer('getDevices', {
         }
     }
 });
-
-/**
- * Validates required environment variables are present.
- * @private
- * @param {Object} context - Azure Function context for logging
- * @throws {Error} If required environment variables are missing
- */
-async function validateEnvironment(context) {
-    context.log('Validating environment variables...');
-    const requiredVars = {
-        FUNCTIONS_WORKER_RUNTIME: process.env.FUNCTIONS_WORKER_RUNTIME,
-        NinjaBaseUrl: process.env.NinjaBaseUrl,
-        NinjaClientID: process.env.NinjaClientID,
-        NinjaClientSecret: process.env.NinjaClientSecret,
-        SnipeBaseURL: process.env.SnipeBaseURL,
-        SnipeAPIKey: process.env.SnipeAPIKey ? 'exists' : 'missing'
-    };
-
-    context.log('Environment variables:', requiredVars);
-
-    if (!process.env.SnipeBaseURL || !process.env.SnipeAPIKey || 
-        !process.env.NinjaBaseUrl || !process.env.NinjaClientID || !process.env.NinjaClientSecret) {
-        throw new Error('Required environment variables are missing');
-    }
-} 
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Azure Functions that receive Ninja RMM device webhooks and sync the affected device.
+ * The HTTP function verifies, parses and deduplicates events, then queues them; the queue
+ * function syncs or retires the single device, so Ninja gets a fast response.
+ * @module ninjaWebhook
+ * @requires crypto
+ * @requires @azure/functions
+ * @requires ../sync/syncPipeline
+ */
+
+const crypto = require('crypto');
+const { app, output } = require('@azure/functions');
+const { runDeviceEvent } = require('../sync/syncPipeline');
+
+/**
+ * Queue holding device events between the webhook and the processor.
+ * @private
+ */
+const QUEUE_NAME = 'ninja-device-events';
+
+/**
+ * Ninja activity status codes that retire the device's asset.
+ * @private
+ */
+const DELETE_CODES = ['NODE_DELETED', 'DEVICE_DELETED'];
+
+/**
+ * Ninja activity status codes that re-sync the device.
+ * @private
+ */
+const SYNC_CODES = ['NODE_CREATED', 'NODE_UPDATED', 'NODE_AUTHORIZED', 'NODE_REGISTERED', 'DEVICE_CREATED', 'DEVICE_UPDATED'];
+
+const deviceEventQueue = output.storageQueue({
+    queueName: QUEUE_NAME,
+    connection: 'AzureWebJobsStorage'
+});
+
+/**
+ * Events queued recently by this instance, keyed by action and device ID, used to drop bursts.
+ * @private
+ */
+const recentEvents = new Map();
+
+/**
+ * HTTP triggered function receiving Ninja RMM webhook notifications.
+ * Requests must carry the shared secret configured in NinjaWebhookSecret in the header named by
+ * NinjaWebhookHeader (default x-ninja-webhook-secret), set as a custom header when registering the webhook.
+ *
+ * @function ninjaWebhook
+ * @param {HttpRequest} request - Webhook request with a Ninja activity payload
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<Object>} 202 when queued, 200 when ignored or deduplicated, 4xx on invalid requests
+ */
+app.http('ninjaWebhook', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    route: 'ninja/webhook',
+    extraOutputs: [deviceEventQueue],
+    handler: async (request, context) => {
+        const secret = process.env.NinjaWebhookSecret;
+        if (!secret) {
+            context.error('NinjaWebhookSecret is not configured, rejecting webhook');
+            return { status: 500, jsonBody: { error: 'Webhook is not configured' } };
+        }
+
+        const headerName = process.env.NinjaWebhookHeader || 'x-ninja-webhook-secret';
+        if (!isValidSecret(request.headers.get(headerName), secret)) {
+            context.log('Rejected webhook with missing or invalid secret');
+            return { status: 401, jsonBody: { error: 'Invalid webhook secret' } };
+        }
+
+        let event;
+        try {
+            event = parseEvent(await request.json());
+        } catch (error) {
+            return { status: 400, jsonBody: { error: error.message } };
+        }
+
+        if (!event) {
+            return { status: 200, jsonBody: { status: 'ignored' } };
+        }
+
+        if (isDuplicate(event)) {
+            context.log(`Dropping duplicate ${event.action} event for device ${event.deviceId}`);
+            return { status: 200, jsonBody: { status: 'duplicate', ...event } };
+        }
+
+        context.extraOutputs.set(deviceEventQueue, event);
+        context.log(`Queued ${event.action} event for device ${event.deviceId}`);
+        return { status: 202, jsonBody: { status: 'queued', ...event } };
+    }
+});
+
+/**
+ * Queue triggered function syncing or retiring the device named by a queued event.
+ * Failures are retried by the Functions host and end up in the poison queue.
+ *
+ * @function processNinjaDeviceEvent
+ * @param {Object} event - Queued device event ({ deviceId, action, code })
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<void>}
+ */
+app.storageQueue('processNinjaDeviceEvent', {
+    queueName: QUEUE_NAME,
+    connection: 'AzureWebJobsStorage',
+    handler: async (event, context) => {
+        try {
+            const result = await runDeviceEvent(event, context);
+            if (result.action === 'failed') {
+                throw new Error(`Sync of device ${event.deviceId} failed: ${result.error}`);
+            }
+        } catch (error) {
+            context.error('Error in processNinjaDeviceEvent function:', error);
+            throw error;
+        }
+    }
+});
+
+/**
+ * Compares a provided secret with the expected one in constant time.
+ * @private
+ * @param {string|null} provided - Secret from the request header
+ * @param {string} expected - Configured secret
+ * @returns {boolean} True if the secrets match
+ */
+function isValidSecret(provided, expected) {
+    if (!provided) {
+        return false;
+    }
+    const providedBuffer = Buffer.from(provided);
+    const expectedBuffer = Buffer.from(expected);
+    return providedBuffer.length === expectedBuffer.length &&
+        crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+/**
+ * Turns a Ninja activity payload into a device event.
+ * @private
+ * @param {Object} payload - Webhook payload
+ * @returns {Object|null} Event with deviceId, action and code, or null for activities that are not device events
+ * @throws {Error} If the payload is not an object
+ */
+function parseEvent(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new Error('Webhook payload must be a JSON object');
+    }
+
+    const code = String(payload.statusCode || payload.status || '').toUpperCase();
+    const deviceId = payload.deviceId ?? payload.device?.id;
+    if (deviceId === undefined || deviceId === null) {
+        return null;
+    }
+
+    if (DELETE_CODES.includes(code)) {
+        return { deviceId, action: 'delete', code };
+    }
+    if (SYNC_CODES.includes(code)) {
+        return { deviceId, action: 'sync', code };
+    }
+    return null;
+}
+
+/**
+ * Checks whether the same event was queued within the dedup window (NinjaWebhookDedupSeconds,
+ * default 60) and records it otherwise. Deduplication is per Functions instance.
+ * @private
+ * @param {Object} event - Device event
+ * @returns {boolean} True if the event should be dropped
+ */
+function isDuplicate(event) {
+    const windowMs = (parseInt(process.env.NinjaWebhookDedupSeconds, 10) || 60) * 1000;
+    const now = Date.now();
+
+    for (const [key, queuedAt] of recentEvents) {
+        if (now - queuedAt >= windowMs) {
+            recentEvents.delete(key);
+        }
+    }
+
+    const key = `${event.action}:${event.deviceId}`;
+    if (recentEvents.has(key)) {
+        return true;
+    }
+
+    recentEvents.set(key, now);
+    return false;
+}
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview HTTP triggered Azure Function that runs the Ninja RMM to Snipe-IT sync on demand.
+ * @module syncDevices
+ * @requires @azure/functions
+ * @requires ../sync/syncPipeline
+ * @requires ../rules/deviceMatcher
+ */
+
+const { app } = require('@azure/functions');
+const { runSync } = require('../sync/syncPipeline');
+const { validateMatch } = require('../rules/deviceMatcher');
+
+/**
+ * Request parameters accepted as device filters.
+ * @private
+ */
+const FILTER_PARAMS = ['deviceId', 'organization', 'nodeClass'];
+
+/**
+ * HTTP triggered function to sync devices between Ninja RMM and Snipe-IT on demand.
+ * Requires a function key. Filters and the dry-run flag can be passed as query parameters
+ * or in a JSON body; list filters accept arrays or comma-separated values.
+ *
+ * @function syncDevices
+ * @param {HttpRequest} request - HTTP request with optional deviceId, organization, nodeClass and dryRun
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<Object>} HTTP response with the run report and per-device sync results as JSON;
+ *   status 500 when the run failed
+ */
+app.http('syncDevices', {
+    methods: ['GET', 'POST'],
+    authLevel: 'function',
+    route: 'sync',
+    handler: async (request, context) => {
+        let options;
+        try {
+            options = await parseRequest(request);
+            validateMatch(options.filters, 'Filters');
+        } catch (error) {
+            return { status: 400, jsonBody: { error: error.message } };
+        }
+
+        try {
+            context.log('On-demand sync requested with options:', JSON.stringify(options));
+            const { dryRun, deviceCount, results, report } = await runSync(context, { ...options, trigger: 'http' });
+
+            return {
+                jsonBody: {
+                    dryRun,
+                    devices: deviceCount,
+                    report,
+                    results
+                }
+            };
+        } catch (error) {
+            context.error('Error in syncDevices function:', error);
+            return { status: 500, jsonBody: { error: error.message, ...(error.report && { report: error.report }) } };
+        }
+    }
+});
+
+/**
+ * Reads sync options from the query string and JSON body; body values win.
+ * @private
+ * @param {HttpRequest} request - HTTP request
+ * @returns {Promise<Object>} Sync options with dryRun and filters
+ * @throws {Error} If the body is not a valid JSON object or dryRun is not a boolean
+ */
+async function parseRequest(request) {
+    let body = {};
+    if (request.method === 'POST') {
+        const text = await request.text();
+        if (text) {
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Request body is not valid JSON: ${error.message}`);
+            }
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                throw new Error('Request body must be a JSON object');
+            }
+        }
+    }
+
+    const read = name => body[name] ?? request.query.get(name) ?? undefined;
+
+    const filters = {};
+    for (const name of FILTER_PARAMS) {
+        const value = read(name);
+        if (value === undefined || value === '') {
+            continue;
+        }
+        const values = (Array.isArray(value) ? value : String(value).split(','))
+            .map(entry => String(entry).trim())
+            .filter(Boolean);
+        if (values.length > 0) {
+            filters[name] = values;
+        }
+    }
+
+    const dryRun = read('dryRun');
+    if (dryRun !== undefined && ![true, false, 'true', 'false'].includes(dryRun)) {
+        throw new Error('dryRun must be true or false');
+    }
+
+    return {
+        dryRun: dryRun === undefined ? undefined : String(dryRun) === 'true',
+        filters
+    };
+}
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview HTTP triggered Azure Function that serves the reports of recent sync runs.
+ * @module syncReports
+ * @requires @azure/functions
+ * @requires ../state/createStateStore
+ * @requires ../sync/syncReport
+ */
+
+const { app } = require('@azure/functions');
+const createStateStore = require('../state/createStateStore');
+const { listSyncReports, summarizeSyncReport } = require('../sync/syncReport');
+
+/**
+ * HTTP triggered function listing recent sync runs, or returning the full report of one run.
+ * Requires a function key. GET /api/sync/reports lists run summaries, most recent first
+ * (limit and status query parameters narrow the list); GET /api/sync/reports/{runId} returns
+ * the report with its per-device errors and created records.
+ *
+ * @function syncReports
+ * @param {HttpRequest} request - HTTP request with an optional runId route parameter
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<Object>} HTTP response with the report(s) as JSON
+ */
+app.http('syncReports', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'sync/reports/{runId?}',
+    handler: async (request, context) => {
+        const limit = request.query.get('limit');
+        const status = request.query.get('status');
+        if (limit !== null && !/^[1-9]\d*$/.test(limit)) {
+            return { status: 400, jsonBody: { error: 'limit must be a positive integer' } };
+        }
+        if (status !== null && !['succeeded', 'failed'].includes(status)) {
+            return { status: 400, jsonBody: { error: 'status must be succeeded or failed' } };
+        }
+
+        try {
+            const stateStore = createStateStore();
+            await stateStore.load(context);
+
+            const { runId } = request.params;
+            if (runId) {
+                const report = stateStore.get('reports')[runId];
+                if (!report) {
+                    return { status: 404, jsonBody: { error: `No report found for run ${runId}` } };
+                }
+                return { jsonBody: report };
+            }
+
+            const reports = listSyncReports(stateStore)
+                .filter(report => !status || report.status === status)
+                .slice(0, limit ? parseInt(limit, 10) : undefined)
+                .map(summarizeSyncReport);
+
+            return { jsonBody: { runs: reports } };
+        } catch (error) {
+            context.error('Error in syncReports function:', error);
+            return { status: 500, jsonBody: { error: error.message } };
+        }
+    }
+});
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Posts sync run summaries to Microsoft Teams, Slack or generic JSON webhooks.
+ * @module SyncNotifier
+ * @requires axios
+ * @requires ../utils/config
+ * @requires ../utils/retryPolicy
+ */
+
+const axios = require('axios');
+const { loadJsonSetting } = require('../utils/config');
+const RetryPolicy = require('../utils/retryPolicy');
+
+/**
+ * Most devices or assets listed per section of a summary message.
+ * @private
+ */
+const MAX_LISTED = 10;
+
+/**
+ * Conditions a notifier can be triggered on. A notifier fires when any of its conditions holds.
+ * @private
+ */
+const TRIGGERS = {
+    always: () => true,
+    failure: report => report.status === 'failed',
+    errors: report => report.errors.length > 0 || report.writebackErrors.length > 0 ||
+        report.componentErrors.length > 0 || report.licenseErrors.length > 0,
+    newAssets: report => report.counts.created > 0,
+    newModels: report => report.created.models.length > 0 || report.created.manufacturers.length > 0,
+    retired: report => report.retired.length > 0,
+    conflicts: report => report.conflicts.length > 0,
+    overAllocated: report => report.overAllocatedLicenses.length > 0,
+    changes: report => report.counts.created + report.counts.updated + report.counts.retired > 0 ||
+        report.created.models.length + report.created.manufacturers.length + report.created.categories.length > 0
+};
+
+/**
+ * Message formats by notifier type. Each turns the summary into the JSON body its webhook expects.
+ * @private
+ */
+const FORMATS = {
+    teams: formatTeams,
+    slack: formatSlack,
+    webhook: formatWebhook
+};
+
+/**
+ * Class representing the notifiers that receive a summary after each sync run.
+ */
+class SyncNotifier {
+    /**
+     * Create a SyncNotifier instance.
+     * @param {Array<Object>} [notifiers=[]] - Notifier definitions
+     * @param {string} notifiers[].type - Message format: "teams", "slack" or "webhook"
+     * @param {string} notifiers[].url - Webhook URL the summary is posted to
+     * @param {string|Array<string>} [notifiers[].when="always"] - Trigger conditions
+     *   (always, failure, errors, newAssets, newModels, retired, conflicts, overAllocated, changes)
+     * @param {string} [notifiers[].name] - Name used in logs (defaults to the type)
+     * @param {Object} [options={}] - Notifier options
+     * @param {RetryPolicy} [options.retryPolicy] - Retry policy for webhook requests (defaults to the Http* settings)
+     * @throws {Error} If a notifier definition is invalid
+     */
+    constructor(notifiers = [], options = {}) {
+        if (!Array.isArray(notifiers)) {
+            throw new Error('Sync notifiers must be an array');
+        }
+
+        this.notifiers = notifiers.map((notifier, index) => {
+            const label = `Sync notifier ${index}`;
+            if (!notifier || typeof notifier !== 'object') {
+                throw new Error(`${label} must be an object`);
+            }
+            if (!FORMATS[notifier.type]) {
+                throw new Error(`${label}: unknown type "${notifier.type}". Supported: ${Object.keys(FORMATS).join(', ')}`);
+            }
+            if (typeof notifier.url !== 'string' || !/^https?:\/\//.test(notifier.url)) {
+                throw new Error(`${label}: "url" must be an http(s) URL`);
+            }
+
+            const when = [].concat(notifier.when || 'always');
+            when.forEach(condition => {
+                if (!TRIGGERS[condition]) {
+                    throw new Error(`${label}: unknown "when" condition "${condition}". Supported: ${Object.keys(TRIGGERS).join(', ')}`);
+                }
+            });
+
+            return { name: notifier.name || notifier.type, type: notifier.type, url: notifier.url, when };
+        });
+
+        this.retryPolicy = options.retryPolicy || RetryPolicy.fromEnvironment();
+        this.http = axios.create({ timeout: this.retryPolicy.timeoutMs });
+    }
+
+    /**
+     * Builds the notifiers named by the SyncNotifiers setting (inline JSON or a file path).
+     * @returns {SyncNotifier} Configured notifiers (none if the setting is not set)
+     * @throws {Error} If the setting cannot be loaded or is invalid
+     */
+    static fromEnvironment() {
+        return new SyncNotifier(loadJsonSetting('SyncNotifiers') || []);
+    }
+
+    /**
+     * Posts the summary of a run to every notifier whose trigger conditions match the report.
+     * Notification failures are logged and never fail the run.
+     * @param {Object} report - Sync report (see buildSyncReport)
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     */
+    async notify(report, context) {
+        const notifiers = this.notifiers.filter(notifier => notifier.when.some(condition => TRIGGERS[condition](report)));
+        if (notifiers.length === 0) {
+            return;
+        }
+
+        const summary = summarize(report);
+        for (const notifier of notifiers) {
+            try {
+                await this.retryPolicy.execute(
+                    () => this.http.post(notifier.url, FORMATS[notifier.type](summary, report)),
+                    context,
+                    { description: `${notifier.name} notification`, idempotent: false }
+                );
+                context.log(`Sent sync summary to ${notifier.name}`);
+            } catch (error) {
+                context.error(`Failed to send sync summary to ${notifier.name}:`, error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Builds the title and text sections shared by all message formats.
+ * @private
+ * @param {Object} report - Sync report
+ * @returns {Object} Title, facts and titled sections of list items
+ */
+function summarize(report) {
+    const { counts } = report;
+    const title = `Ninja RMM to Snipe-IT sync ${report.status}${report.dryRun ? ' (dry-run)' : ''}`;
+
+    const facts = [
+        ['Devices', `${report.deviceCount}`],
+        ['Created', `${counts.created}`],
+        ['Updated', `${counts.updated}`],
+        ['Unchanged', `${counts.unchanged}`],
+        ['Skipped', `${counts.skipped}`],
+        ['Failed', `${counts.failed}`],
+        ['Retired', `${counts.retired}`],
+        ['Duration', `${Math.round(report.durationMs / 1000)} s`],
+        ['Run', report.runId]
+    ];
+
+    const sections = [];
+    const addSection = (heading, items) => {
+        if (items.length === 0) {
+            return;
+        }
+        const listed = items.slice(0, MAX_LISTED);
+        if (items.length > MAX_LISTED) {
+            listed.push(`... and ${items.length - MAX_LISTED} more`);
+        }
+        sections.push({ heading, items: listed });
+    };
+
+    if (report.failureReason) {
+        sections.push({ heading: 'Failure', items: [report.failureReason] });
+    }
+    addSection('Failed devices', report.errors.map(error =>
+        `${error.systemName || error.deviceId} (serial ${error.serialNumber || 'unknown'}): ${error.error}`));
+    addSection('Asset tag write-back errors', report.writebackErrors.map(error =>
+        `${error.systemName || error.deviceId}: ${error.error}`));
+    addSection('Disk component errors', report.componentErrors.map(error =>
+        `${error.assetTag || error.systemName || error.deviceId}: ${error.error}`));
+    addSection('License seat errors', report.licenseErrors.map(error =>
+        error.licenseId ? `${error.name || error.licenseId}: ${error.error}` : error.error));
+    addSection('New manufacturers', report.created.manufacturers);
+    addSection('New models', report.created.models);
+    addSection('New categories', report.created.categories);
+    addSection('Retired assets', report.retired.map(asset =>
+        `${asset.assetTag || asset.assetId} ${asset.systemName || ''} (serial ${asset.serialNumber || 'unknown'})`));
+    addSection('Field conflicts', report.conflicts.map(conflict =>
+        `${conflict.assetTag || conflict.assetId} ${conflict.field}: Snipe-IT ${JSON.stringify(conflict.snipeValue)}, ` +
+        `Ninja ${JSON.stringify(conflict.ninjaValue)} (${conflict.resolution})`));
+    addSection('Category conflicts', report.categoryConflicts.map(conflict =>
+        `${conflict.model}: devices match ${Object.keys(conflict.deviceCategories).join(', ')}, using ${conflict.category}`));
+    addSection('Over-allocated licenses', report.overAllocatedLicenses.map(license =>
+        `${license.name || license.licenseId}: ${license.installs} installs, ${license.seats} seats (${license.excess} over)`));
+
+    return { title, facts, sections };
+}
+
+/**
+ * Formats a summary as a Teams message with an Adaptive Card, accepted by Teams workflows
+ * and incoming webhooks.
+ * @private
+ * @param {Object} summary - Summary from summarize
+ * @returns {Object} Teams message body
+ */
+function formatTeams(summary) {
+    return {
+        type: 'message',
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            content: {
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body: [
+                    { type: 'TextBlock', text: summary.title, weight: 'Bolder', size: 'Medium', wrap: true },
+                    { type: 'FactSet', facts: summary.facts.map(([title, value]) => ({ title, value })) },
+                    ...summary.sections.flatMap(section => [
+                        { type: 'TextBlock', text: section.heading, weight: 'Bolder', wrap: true, spacing: 'Medium' },
+                        { type: 'TextBlock', text: section.items.map(item => `- ${item}`).join('\n'), wrap: true }
+                    ])
+                ]
+            }
+        }]
+    };
+}
+
+/**
+ * Formats a summary as a Slack incoming webhook message.
+ * @private
+ * @param {Object} summary - Summary from summarize
+ * @returns {Object} Slack message body
+ */
+function formatSlack(summary) {
+    return {
+        text: summary.title,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: summary.title } },
+            { type: 'section', fields: summary.facts.map(([title, value]) => ({ type: 'mrkdwn', text: `*${title}:* ${value}` })).slice(0, 10) },
+            ...summary.sections.map(section => ({
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    // Section text is limited to 3000 characters
+                    text: `*${section.heading}*\n${section.items.map(item => `• ${item}`).join('\n')}`.slice(0, 3000)
+                }
+            }))
+        ]
+    };
+}
+
+/**
+ * Formats a summary for a generic JSON webhook: the summary text plus the full report.
+ * @private
+ * @param {Object} summary - Summary from summarize
+ * @param {Object} report - Sync report
+ * @returns {Object} Webhook body
+ */
+function formatWebhook(summary, report) {
+    const text = [
+        summary.title,
+        summary.facts.map(([title, value]) => `${title}: ${value}`).join(', '),
+        ...summary.sections.map(section => `${section.heading}:\n${section.items.map(item => `- ${item}`).join('\n')}`)
+    ].join('\n\n');
+
+    return { event: 'sync.completed', title: summary.title, text, report };
+}
+
+module.exports = SyncNotifier;
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Policy for the asset tags given to assets the sync creates.
+ * @module AssetTagPolicy
+ * @requires ../utils/config
+ */
+
+const { loadJsonSetting } = require('../utils/config');
+
+/**
+ * Placeholders a template or prefix may use.
+ * @private
+ */
+const PLACEHOLDERS = ['deviceId', 'serial', 'systemName', 'organization', 'category', 'company'];
+
+/**
+ * Class representing how new assets are tagged. In "snipe" mode (the default) no tag is sent and
+ * Snipe-IT's auto-increment assigns one; "sequence" continues a zero-padded number after a prefix
+ * chosen per category or company; "template" builds the tag from device properties.
+ * Tags are only chosen for new assets; existing tags are never rewritten.
+ */
+class AssetTagPolicy {
+    /**
+     * Create an AssetTagPolicy instance.
+     * @param {Object} [config={}] - Policy configuration
+     * @param {string} [config.mode='snipe'] - "snipe", "sequence" or "template"
+     * @param {string} [config.prefix=''] - Sequence prefix for devices with no entry in prefixes
+     * @param {string} [config.scope='global'] - What prefixes are keyed by: "global", "category" or "company"
+     * @param {Object} [config.prefixes] - Category or company name to sequence prefix
+     * @param {number} [config.padding=5] - Digits the sequence number is zero-padded to
+     * @param {string} [config.template] - Tag template, e.g. "NINJA-{deviceId}"
+     * @throws {Error} If the configuration is invalid
+     */
+    constructor(config = {}) {
+        this.mode = config.mode || 'snipe';
+        if (!['snipe', 'sequence', 'template'].includes(this.mode)) {
+            throw new Error(`Asset tag policy: unknown mode "${this.mode}". Supported: snipe, sequence, template`);
+        }
+
+        this.scope = config.scope || 'global';
+        if (!['global', 'category', 'company'].includes(this.scope)) {
+            throw new Error(`Asset tag policy: unknown scope "${this.scope}". Supported: global, category, company`);
+        }
+
+        const prefixes = config.prefixes || {};
+        if (typeof prefixes !== 'object' || Array.isArray(prefixes) ||
+            Object.values(prefixes).some(prefix => typeof prefix !== 'string')) {
+            throw new Error('Asset tag policy: "prefixes" must map names to prefix strings');
+        }
+        this.prefixes = new Map(Object.entries(prefixes).map(([name, prefix]) => [name.toLowerCase(), prefix]));
+        this.prefix = config.prefix ?? '';
+
+        this.padding = config.padding ?? 5;
+        if (!Number.isInteger(this.padding) || this.padding < 1 || this.padding > 20) {
+            throw new Error('Asset tag policy: "padding" must be a whole number from 1 to 20');
+        }
+
+        this.template = config.template || null;
+        if (this.mode === 'template' && !this.template) {
+            throw new Error('Asset tag policy: "template" is required in template mode');
+        }
+
+        [this.prefix, ...this.prefixes.values(), this.template].filter(Boolean).forEach(text => {
+            for (const [, name] of text.matchAll(/\{(\w+)\}/g)) {
+                if (!PLACEHOLDERS.includes(name)) {
+                    throw new Error(`Asset tag policy: unknown placeholder "{${name}}". Supported: ${PLACEHOLDERS.join(', ')}`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Builds the policy named by the SnipeAssetTagPolicy setting (inline JSON or a file path).
+     * @returns {AssetTagPolicy} Configured policy ("snipe" mode if the setting is not set)
+     * @throws {Error} If the setting cannot be loaded or is invalid
+     */
+    static fromEnvironment() {
+        return new AssetTagPolicy(loadJsonSetting('SnipeAssetTagPolicy') || {});
+    }
+
+    /**
+     * Whether the sync chooses tags itself rather than leaving them to Snipe-IT.
+     * @returns {boolean} True in "sequence" and "template" mode
+     */
+    get generatesTags() {
+        return this.mode !== 'snipe';
+    }
+
+    /**
+     * Chooses the tag for a new asset.
+     * @param {Object} values - Placeholder values: deviceId, serial (null if unusable), systemName,
+     *   organization, category and company
+     * @param {Set<string>} takenTags - Lower-cased tags already in use
+     * @returns {string|null} Tag, or null in "snipe" mode
+     * @throws {Error} If a template tag is already in use or a placeholder has no value
+     */
+    generate(values, takenTags) {
+        if (this.mode === 'snipe') {
+            return null;
+        }
+
+        if (this.mode === 'template') {
+            const tag = render(this.template, values);
+            if (takenTags.has(tag.toLowerCase())) {
+                throw new Error(`Asset tag "${tag}" is already in use by another asset`);
+            }
+            return tag;
+        }
+
+        // Continue after the highest number already used with this prefix
+        const scopeName = this.scope === 'global' ? null : values[this.scope];
+        const prefix = render((scopeName && this.prefixes.get(String(scopeName).toLowerCase())) ?? this.prefix, values);
+        const pattern = new RegExp(`^${escapeRegExp(prefix.toLowerCase())}(\\d+)$`);
+        let highest = 0;
+        takenTags.forEach(tag => {
+            const match = tag.match(pattern);
+            if (match) {
+                highest = Math.max(highest, parseInt(match[1], 10));
+            }
+        });
+        return `${prefix}${String(highest + 1).padStart(this.padding, '0')}`;
+    }
+}
+
+/**
+ * Replaces {placeholder} tokens with device values.
+ * @private
+ * @param {string} text - Template or prefix
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ * @throws {Error} If a placeholder used has no value
+ */
+function render(text, values) {
+    return text.replace(/\{(\w+)\}/g, (_, name) => {
+        const value = values[name];
+        if (value === undefined || value === null || String(value).trim() === '') {
+            throw new Error(`Asset tag placeholder {${name}} has no value for this device`);
+        }
+        return String(value).trim();
+    });
+}
+
+/**
+ * Escapes a string for literal use in a regular expression.
+ * @private
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = AssetTagPolicy;
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Rules mapping Ninja RMM devices to Snipe-IT asset category names.
+ * @module CategoryRules
+ * @requires ../utils/config
+ * @requires ./deviceMatcher
+ */
+
+const { loadJsonSetting } = require('../utils/config');
+const { validateMatch, matchesDevice } = require('./deviceMatcher');
+
+/**
+ * Rules used when no rule set is configured.
+ * @private
+ */
+const DEFAULT_RULES = {
+    fallbackCategory: 'Other Hardware',
+    rules: [
+        { category: 'Windows Servers', match: { nodeClass: 'WINDOWS_SERVER' } },
+        { category: 'Windows Workstations', match: { nodeClass: 'WINDOWS_WORKSTATION' } },
+        { category: 'VMware Hosts', match: { nodeClass: 'VMWARE_VM_HOST' } }
+    ]
+};
+
+/**
+ * Class representing an ordered set of category mapping rules.
+ * The first rule whose conditions all match a device decides its category;
+ * unmatched devices get the fallback category.
+ */
+class CategoryRules {
+    /**
+     * Create a CategoryRules instance.
+     * @param {Object} [config] - Rule set
+     * @param {Array<Object>} [config.rules] - Ordered rules of the form { category, match }
+     * @param {string} [config.fallbackCategory] - Category for devices no rule matches
+     * @throws {Error} If the rule set is invalid
+     */
+    constructor(config = DEFAULT_RULES) {
+        const rules = config.rules || [];
+        if (!Array.isArray(rules)) {
+            throw new Error('Category rules: "rules" must be an array');
+        }
+
+        rules.forEach((rule, index) => {
+            if (!rule || typeof rule.category !== 'string' || !rule.category.trim()) {
+                throw new Error(`Category rule ${index}: "category" must be a non-empty string`);
+            }
+            validateMatch(rule.match, `Category rule ${index}`);
+        });
+
+        this.rules = rules;
+        this.fallbackCategory = process.env.SnipeFallbackCategory ||
+            config.fallbackCategory ||
+            DEFAULT_RULES.fallbackCategory;
+    }
+
+    /**
+     * Builds the rule set named by the SnipeCategoryRules setting, or the default rules.
+     * @returns {CategoryRules} Configured rule set
+     * @throws {Error} If the configured rule set cannot be loaded or is invalid
+     */
+    static fromEnvironment() {
+        return new CategoryRules(loadJsonSetting('SnipeCategoryRules') || DEFAULT_RULES);
+    }
+
+    /**
+     * Resolves the category name for a device.
+     * @param {Object} device - Normalized device from NinjaService
+     * @returns {string} Category name
+     */
+    resolve(device) {
+        const rule = this.rules.find(candidate => matchesDevice(candidate.match, device));
+        return rule ? rule.category : this.fallbackCategory;
+    }
+}
+
+module.exports = CategoryRules;
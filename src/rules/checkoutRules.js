@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Rules deciding which devices are checked out to their last logged-in user.
+ * @module CheckoutRules
+ * @requires ../utils/config
+ * @requires ./deviceMatcher
+ */
+
+const { loadJsonSetting } = require('../utils/config');
+const { validateMatch, matchesDevice } = require('./deviceMatcher');
+
+/**
+ * Rules used when no rule set is configured: servers and VMware hosts are never checked out.
+ * @private
+ */
+const DEFAULT_RULES = {
+    createMissingUsers: false,
+    exclude: [
+        { nodeClass: ['WINDOWS_SERVER', 'LINUX_SERVER', 'MAC_SERVER', 'VMWARE_VM_HOST'] }
+    ]
+};
+
+/**
+ * Class representing the user checkout rules.
+ * A device is eligible for checkout unless it matches one of the exclusion conditions.
+ */
+class CheckoutRules {
+    /**
+     * Create a CheckoutRules instance.
+     * @param {Object} [config] - Rule set
+     * @param {boolean} [config.enabled=false] - Whether assets are checked out at all
+     * @param {boolean} [config.createMissingUsers=false] - Create Snipe-IT users that do not exist
+     * @param {Array<Object>} [config.exclude] - Match conditions for devices never checked out
+     * @throws {Error} If the rule set is invalid
+     */
+    constructor(config = DEFAULT_RULES) {
+        const exclude = config.exclude || [];
+        if (!Array.isArray(exclude)) {
+            throw new Error('Checkout rules: "exclude" must be an array');
+        }
+        exclude.forEach((match, index) => validateMatch(match, `Checkout exclusion ${index}`));
+
+        this.enabled = Boolean(config.enabled);
+        this.createMissingUsers = Boolean(config.createMissingUsers);
+        this.exclude = exclude;
+    }
+
+    /**
+     * Builds the rule set named by the SnipeCheckoutRules setting, or the default rules.
+     * Checkout is enabled by SnipeCheckoutEnabled.
+     * @returns {CheckoutRules} Configured rule set
+     * @throws {Error} If the configured rule set cannot be loaded or is invalid
+     */
+    static fromEnvironment() {
+        return new CheckoutRules({
+            ...(loadJsonSetting('SnipeCheckoutRules') || DEFAULT_RULES),
+            enabled: process.env.SnipeCheckoutEnabled === 'true'
+        });
+    }
+
+    /**
+     * Checks whether a device may be checked out to a user.
+     * @param {Object} device - Normalized device from NinjaService
+     * @returns {boolean} True if checkout is enabled and no exclusion matches
+     */
+    isEligible(device) {
+        return this.enabled && !this.exclude.some(match => matchesDevice(match, device));
+    }
+
+    /**
+     * Extracts the username of the device's last logged-in user, without any domain prefix.
+     * @param {Object} device - Normalized device from NinjaService
+     * @returns {string|null} Username (e.g. "jdoe" for "CORP\\jdoe"), or null if unknown
+     */
+    getUsername(device) {
+        const loggedInUser = device.lastLoggedInUser;
+        if (!loggedInUser || typeof loggedInUser !== 'string') {
+            return null;
+        }
+
+        const username = loggedInUser.split('\\').pop().trim();
+        return username || null;
+    }
+}
+
+module.exports = CheckoutRules;
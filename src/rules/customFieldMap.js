@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Mapping of normalized Ninja RMM device properties to Snipe-IT custom fields.
+ * @module CustomFieldMap
+ * @requires ../utils/config
+ */
+
+const { loadJsonSetting } = require('../utils/config');
+
+/**
+ * Formatters that turn a device property into a custom field value.
+ * @private
+ */
+const FORMATS = {
+    text: value => Array.isArray(value) ? value.join(', ') : String(value),
+    first: value => Array.isArray(value) ? value[0] : value,
+    gigabytes: value => Number(value) > 0 ? (Number(value) / 1024 ** 3).toFixed(1) : undefined,
+    megabytes: value => Number(value) > 0 ? Math.round(Number(value) / 1024 ** 2).toString() : undefined,
+    username: value => String(value).split('\\').pop()
+};
+
+/**
+ * Class representing the mapping from device properties to Snipe-IT custom field columns.
+ * Each entry maps a dotted property path of the normalized device (e.g. "system.totalPhysicalMemory")
+ * to a custom field db column (e.g. "_snipeit_ram_3"), optionally with a value format.
+ */
+class CustomFieldMap {
+    /**
+     * Create a CustomFieldMap instance.
+     * @param {Object} [config={}] - Map of device property path to db column name or { field, format }
+     * @throws {Error} If an entry is invalid
+     */
+    constructor(config = {}) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('Custom field map must be an object');
+        }
+
+        this.entries = Object.entries(config).map(([property, target]) => {
+            const entry = typeof target === 'string' ? { field: target } : { ...target };
+
+            if (!entry.field || !entry.field.startsWith('_snipeit_')) {
+                throw new Error(`Custom field map entry ${property}: field must be a Snipe-IT db column starting with _snipeit_`);
+            }
+            entry.format = entry.format || 'text';
+            if (!FORMATS[entry.format]) {
+                throw new Error(`Custom field map entry ${property}: unknown format "${entry.format}". Supported: ${Object.keys(FORMATS).join(', ')}`);
+            }
+
+            return { property, ...entry };
+        });
+    }
+
+    /**
+     * Builds the custom field map named by the SnipeCustomFieldMap setting.
+     * @returns {CustomFieldMap} Configured map (empty if not configured)
+     * @throws {Error} If the configured map cannot be loaded or is invalid
+     */
+    static fromEnvironment() {
+        return new CustomFieldMap(loadJsonSetting('SnipeCustomFieldMap') || {});
+    }
+
+    /**
+     * Custom field db columns written by this map.
+     * @returns {Array<string>} Column names
+     */
+    get fields() {
+        return this.entries.map(entry => entry.field);
+    }
+
+    /**
+     * Builds custom field values for a device.
+     * Properties that are missing, empty or "Unknown" are left out so existing values are not cleared.
+     * @param {Object} device - Normalized device from NinjaService
+     * @returns {Object} Values keyed by custom field db column
+     */
+    buildFields(device) {
+        const fields = {};
+
+        for (const entry of this.entries) {
+            const value = getPath(device, entry.property);
+            if (isBlank(value)) {
+                continue;
+            }
+
+            const formatted = FORMATS[entry.format](value);
+            if (!isBlank(formatted)) {
+                fields[entry.field] = String(formatted);
+            }
+        }
+
+        return fields;
+    }
+}
+
+/**
+ * Reads a dotted property path from an object.
+ * @private
+ * @param {Object} source - Object to read from
+ * @param {string} propertyPath - Dotted path such as "system.domain"
+ * @returns {*} Property value, or undefined if any segment is missing
+ */
+function getPath(source, propertyPath) {
+    return propertyPath.split('.').reduce((value, key) => value == null ? undefined : value[key], source);
+}
+
+/**
+ * Checks whether a value carries no information worth syncing.
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True for null, undefined, empty strings/arrays, "Unknown" and NaN
+ */
+function isBlank(value) {
+    return value === undefined ||
+        value === null ||
+        value === '' ||
+        value === 'Unknown' ||
+        value === 'NaN' ||
+        (Array.isArray(value) && value.length === 0) ||
+        (typeof value === 'number' && Number.isNaN(value));
+}
+
+module.exports = CustomFieldMap;
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Matching of normalized Ninja RMM devices against rule conditions.
+ * @module deviceMatcher
+ */
+
+/**
+ * Conditions a rule may use, keyed by name.
+ * Each entry validates the configured value and tests it against a device.
+ * @private
+ */
+const CONDITIONS = {
+    deviceId: {
+        validate: validateStringList,
+        test: (expected, device) => matchesAny(expected, [device.id])
+    },
+    nodeClass: {
+        validate: validateStringList,
+        test: (expected, device) => matchesAny(expected, [device.nodeClass])
+    },
+    chassisType: {
+        validate: validateStringList,
+        test: (expected, device) => matchesAny(expected, [device.system?.chassisType])
+    },
+    virtualMachine: {
+        validate: validateBoolean,
+        test: (expected, device) => Boolean(device.system?.virtualMachine) === expected
+    },
+    organization: {
+        validate: validateStringList,
+        test: (expected, device) => matchesAny(expected, [
+            device.organizationName,
+            device.organizationId !== undefined ? String(device.organizationId) : undefined
+        ])
+    },
+    offline: {
+        validate: validateBoolean,
+        test: (expected, device) => Boolean(device.offline) === expected
+    },
+    offlineDays: {
+        validate: (value, name) => {
+            if (typeof value !== 'number' || !(value >= 0)) {
+                throw new Error(`Condition ${name} must be a number of days`);
+            }
+        },
+        test: (expected, device) => {
+            const lastContact = Date.parse(device.lastContact);
+            return !Number.isNaN(lastContact) && Date.now() - lastContact > expected * 24 * 60 * 60 * 1000;
+        }
+    },
+    maintenance: {
+        validate: validateBoolean,
+        test: (expected, device) => Boolean(device.maintenance) === expected
+    },
+    systemName: {
+        validate: (value, name) => {
+            try {
+                new RegExp(value, 'i');
+            } catch (error) {
+                throw new Error(`Condition ${name} is not a valid regular expression: ${error.message}`);
+            }
+        },
+        test: (expected, device) => new RegExp(expected, 'i').test(device.systemName || '')
+    }
+};
+
+/**
+ * Validates a rule's match conditions.
+ * @param {Object} match - Conditions keyed by name
+ * @param {string} label - Rule label used in error messages
+ * @throws {Error} If a condition is unknown or has an invalid value
+ */
+function validateMatch(match, label) {
+    if (match === undefined) {
+        return;
+    }
+    if (!match || typeof match !== 'object' || Array.isArray(match)) {
+        throw new Error(`${label}: "match" must be an object`);
+    }
+
+    for (const [name, value] of Object.entries(match)) {
+        const condition = CONDITIONS[name];
+        if (!condition) {
+            throw new Error(`${label}: unknown condition "${name}". Supported: ${Object.keys(CONDITIONS).join(', ')}`);
+        }
+        condition.validate(value, `${label}.${name}`);
+    }
+}
+
+/**
+ * Tests whether a device satisfies every condition of a match.
+ * An empty or missing match matches every device.
+ * @param {Object} [match] - Conditions keyed by name
+ * @param {Object} device - Normalized device from NinjaService
+ * @returns {boolean} True if all conditions match
+ */
+function matchesDevice(match, device) {
+    if (!match) {
+        return true;
+    }
+    return Object.entries(match).every(([name, expected]) => CONDITIONS[name].test(expected, device));
+}
+
+/**
+ * Validates a condition value that is a string or an array of strings.
+ * @private
+ * @param {string|Array<string>} value - Configured value
+ * @param {string} name - Condition name used in error messages
+ * @throws {Error} If the value is not a string or array of strings
+ */
+function validateStringList(value, name) {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.some(entry => typeof entry !== 'string')) {
+        throw new Error(`Condition ${name} must be a string or an array of strings`);
+    }
+}
+
+/**
+ * Validates a condition value that is true or false.
+ * @private
+ * @param {boolean} value - Configured value
+ * @param {string} name - Condition name used in error messages
+ * @throws {Error} If the value is not a boolean
+ */
+function validateBoolean(value, name) {
+    if (typeof value !== 'boolean') {
+        throw new Error(`Condition ${name} must be true or false`);
+    }
+}
+
+/**
+ * Case-insensitive comparison of expected values against actual device values.
+ * @private
+ * @param {string|Array<string>} expected - Configured value(s)
+ * @param {Array<*>} actualValues - Device values to compare against
+ * @returns {boolean} True if any expected value equals any actual value
+ */
+function matchesAny(expected, actualValues) {
+    const expectedValues = (Array.isArray(expected) ? expected : [expected]).map(value => value.toLowerCase());
+    return actualValues
+        .filter(value => value !== undefined && value !== null)
+        .some(value => expectedValues.includes(String(value).toLowerCase()));
+}
+
+module.exports = {
+    validateMatch,
+    matchesDevice
+};
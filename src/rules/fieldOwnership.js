@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Per-field ownership deciding whether Ninja RMM or Snipe-IT edits win on asset updates.
+ * @module FieldOwnership
+ * @requires ../utils/config
+ */
+
+const { loadJsonSetting } = require('../utils/config');
+
+/**
+ * Supported ownership modes.
+ * @private
+ */
+const MODES = ['ninja', 'snipe', 'fillEmpty'];
+
+/**
+ * Class representing who owns each asset field once the asset exists.
+ * "ninja" fields follow Ninja, "snipe" fields are only set when the asset is created, and
+ * "fillEmpty" fields are only written while empty in Snipe-IT. For "ninja" fields the value the
+ * sync last wrote tells a manual edit in Snipe-IT (a conflict) from drift in Ninja; once an edit
+ * has been kept, it is only a conflict again when the field is edited once more.
+ */
+class FieldOwnership {
+    /**
+     * Create a FieldOwnership instance.
+     * @param {Object} [config={}] - Ownership configuration
+     * @param {string} [config.default='ninja'] - Mode of fields not listed in fields
+     * @param {Object} [config.fields] - Field name (as written, e.g. "name" or a custom field db column) to mode
+     * @param {string} [config.onConflict='keep'] - For "ninja" fields edited in Snipe-IT: "keep" the
+     *   Snipe-IT value or "overwrite" it; conflicts are reported either way
+     * @throws {Error} If the configuration is invalid
+     */
+    constructor(config = {}) {
+        const fields = config.fields || {};
+        if (typeof fields !== 'object' || Array.isArray(fields)) {
+            throw new Error('Field ownership: "fields" must map field names to modes');
+        }
+
+        this.defaultMode = config.default || 'ninja';
+        [this.defaultMode, ...Object.values(fields)].forEach(mode => {
+            if (!MODES.includes(mode)) {
+                throw new Error(`Field ownership: unknown mode "${mode}". Supported: ${MODES.join(', ')}`);
+            }
+        });
+        this.fields = fields;
+
+        this.onConflict = config.onConflict || 'keep';
+        if (!['keep', 'overwrite'].includes(this.onConflict)) {
+            throw new Error(`Field ownership: unknown onConflict "${this.onConflict}". Supported: keep, overwrite`);
+        }
+    }
+
+    /**
+     * Builds the ownership named by the SnipeFieldOwnership setting (inline JSON or a file path).
+     * @returns {FieldOwnership} Configured ownership (every field owned by Ninja if the setting is not set)
+     * @throws {Error} If the setting cannot be loaded or is invalid
+     */
+    static fromEnvironment() {
+        return new FieldOwnership(loadJsonSetting('SnipeFieldOwnership') || {});
+    }
+
+    /**
+     * Gets the ownership mode of a field.
+     * @param {string} field - Field name as written to Snipe-IT
+     * @returns {string} "ninja", "snipe" or "fillEmpty"
+     */
+    getMode(field) {
+        return this.fields[field] || this.defaultMode;
+    }
+
+    /**
+     * Decides what to do with a field whose Ninja value may differ from Snipe-IT.
+     * Values are compared as trimmed text, since Snipe-IT returns custom fields as text.
+     * @param {string} field - Field name as written to Snipe-IT
+     * @param {*} currentValue - Value in Snipe-IT
+     * @param {*} ninjaValue - Value from Ninja
+     * @param {*} [lastWritten] - Value the sync last wrote or found in sync, undefined if unknown
+     * @param {*} [keptValue] - Snipe-IT value an earlier conflict on the field kept, undefined if none
+     * @returns {Object} { inSync, write, conflict }: whether the values already match, whether to
+     *   write the Ninja value, and whether Snipe-IT was edited since the sync last wrote the field
+     *   or kept an edit
+     */
+    decide(field, currentValue, ninjaValue, lastWritten, keptValue) {
+        if (sameValue(currentValue, ninjaValue)) {
+            return { inSync: true, write: false, conflict: false };
+        }
+
+        switch (this.getMode(field)) {
+            case 'snipe':
+                return { inSync: false, write: false, conflict: false };
+            case 'fillEmpty':
+                return { inSync: false, write: sameValue(currentValue, ''), conflict: false };
+            default: {
+                if (this.onConflict === 'keep' && keptValue !== undefined && sameValue(currentValue, keptValue)) {
+                    return { inSync: false, write: false, conflict: false };
+                }
+                const conflict = lastWritten !== undefined && !sameValue(currentValue, lastWritten);
+                return { inSync: false, write: !conflict || this.onConflict === 'overwrite', conflict };
+            }
+        }
+    }
+}
+
+/**
+ * Compares two field values as trimmed text, treating null and undefined as empty.
+ * @private
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+function sameValue(a, b) {
+    return String(a ?? '').trim() === String(b ?? '').trim();
+}
+
+module.exports = FieldOwnership;
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Canonical manufacturer and model names, so vendor spelling variants share one record.
+ * @module NameNormalizer
+ * @requires ../utils/config
+ */
+
+const { loadJsonSetting } = require('../utils/config');
+
+/**
+ * Built-in manufacturer aliases: canonical name to the variants Ninja reports.
+ * Corporate suffixes ("Inc.", "Corporation", "Co., Ltd.") are ignored when matching, so they need no entry.
+ * @private
+ */
+const DEFAULT_MANUFACTURERS = {
+    Dell: ['Dell', 'Dell Computer Corporation'],
+    HP: ['HP', 'Hewlett-Packard', 'Hewlett Packard'],
+    HPE: ['Hewlett Packard Enterprise', 'HPE'],
+    Lenovo: ['Lenovo'],
+    Microsoft: ['Microsoft'],
+    Apple: ['Apple', 'Apple Computer'],
+    ASUS: ['ASUS', 'ASUSTeK Computer', 'ASUSTeK'],
+    Acer: ['Acer'],
+    VMware: ['VMware'],
+    Intel: ['Intel'],
+    Supermicro: ['Supermicro', 'Super Micro Computer'],
+    Fujitsu: ['Fujitsu', 'Fujitsu Siemens', 'Fujitsu Technology Solutions'],
+    Samsung: ['Samsung', 'Samsung Electronics'],
+    Toshiba: ['Toshiba'],
+    Gigabyte: ['Gigabyte', 'Gigabyte Technology'],
+    MSI: ['MSI', 'Micro-Star International']
+};
+
+/**
+ * Built-in model rules, checked in order after any configured ones. Lenovo reports machine type
+ * and SKU (e.g. "20XW0026US"): known machine types resolve to the product name, others to the
+ * four-character machine type so SKUs of one product share a model.
+ * @private
+ */
+const DEFAULT_MODELS = [
+    { manufacturer: 'Lenovo', match: '^(?:lenovo\\s+)?20X[WX]', name: 'ThinkPad X1 Carbon Gen 9' },
+    { manufacturer: 'Lenovo', match: '^(?:lenovo\\s+)?20U[9A]', name: 'ThinkPad X1 Carbon Gen 8' },
+    { manufacturer: 'Lenovo', match: '^(?:lenovo\\s+)?21C[BC]', name: 'ThinkPad X1 Carbon Gen 10' },
+    { manufacturer: 'Lenovo', match: '^(?:lenovo\\s+)?20W[01]', name: 'ThinkPad T14 Gen 2' },
+    { manufacturer: 'Lenovo', match: '^(?:lenovo\\s+)?20S[01]', name: 'ThinkPad T14 Gen 1' },
+    { manufacturer: 'Lenovo', match: '^(?:lenovo\\s+)?20T[01]', name: 'ThinkPad T14s Gen 1' },
+    { manufacturer: 'Lenovo', match: '^(?:lenovo\\s+)?(\\d{2}[A-Z0-9]{2})[A-Z0-9]{4,6}$', name: '$1' },
+    { manufacturer: 'HP', match: '^(HP .+?) (?:Notebook|Laptop) PC$', name: '$1' }
+];
+
+/**
+ * Words dropped from the end of manufacturer names when matching aliases.
+ * @private
+ */
+const CORPORATE_SUFFIXES = new Set(['inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited', 'llc', 'gmbh', 'ag', 'sa', 'bv', 'plc']);
+
+/**
+ * Class representing the manufacturer and model name normalization applied before any lookup or
+ * create. Names are trimmed with runs of whitespace collapsed; manufacturers resolve through the
+ * alias table and models through the first matching model rule.
+ */
+class NameNormalizer {
+    /**
+     * Create a NameNormalizer instance.
+     * @param {Object} [config={}] - Aliases added to the built-in ones
+     * @param {Object} [config.manufacturers] - Canonical manufacturer name to a list of aliases
+     * @param {Array<Object>} [config.models] - Ordered rules of the form { manufacturer?, match, name },
+     *   where match is a case-insensitive regular expression and name may use $1-$9 for its groups
+     * @throws {Error} If the aliases are invalid
+     */
+    constructor(config = {}) {
+        const manufacturers = config.manufacturers || {};
+        if (typeof manufacturers !== 'object' || Array.isArray(manufacturers)) {
+            throw new Error('Name aliases: "manufacturers" must map canonical names to lists of aliases');
+        }
+        const models = config.models || [];
+        if (!Array.isArray(models)) {
+            throw new Error('Name aliases: "models" must be an array');
+        }
+
+        // Configured aliases win over built-in ones for the same variant
+        this.manufacturerAliases = new Map();
+        [DEFAULT_MANUFACTURERS, manufacturers].forEach(table => {
+            Object.entries(table).forEach(([canonical, aliases]) => {
+                if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+                    throw new Error(`Name aliases: aliases of manufacturer "${canonical}" must be a list of names`);
+                }
+                [canonical, ...aliases].forEach(alias => {
+                    this.manufacturerAliases.set(manufacturerKey(alias), canonical);
+                });
+            });
+        });
+
+        this.modelRules = [...models, ...DEFAULT_MODELS].map((rule, index) => {
+            if (!rule || typeof rule.match !== 'string' || typeof rule.name !== 'string') {
+                throw new Error(`Model alias ${index}: "match" and "name" must be strings`);
+            }
+            let pattern;
+            try {
+                pattern = new RegExp(rule.match, 'i');
+            } catch (error) {
+                throw new Error(`Model alias ${index}: invalid regular expression: ${error.message}`);
+            }
+            return {
+                manufacturer: rule.manufacturer ? this.normalizeManufacturer(rule.manufacturer) : null,
+                pattern,
+                name: rule.name
+            };
+        });
+    }
+
+    /**
+     * Builds the normalizer from the SnipeNameAliases setting (inline JSON or a file path).
+     * @returns {NameNormalizer} Configured normalizer (built-in aliases only if the setting is not set)
+     * @throws {Error} If the setting cannot be loaded or is invalid
+     */
+    static fromEnvironment() {
+        return new NameNormalizer(loadJsonSetting('SnipeNameAliases') || {});
+    }
+
+    /**
+     * Resolves a manufacturer name to its canonical form.
+     * @param {string} name - Manufacturer name as reported
+     * @returns {string} Canonical name, or the cleaned name if it has no alias
+     */
+    normalizeManufacturer(name) {
+        const cleaned = clean(name);
+        return this.manufacturerAliases.get(manufacturerKey(cleaned)) || cleaned;
+    }
+
+    /**
+     * Gets the lookup key of a manufacturer name. Names that only differ in aliases, case,
+     * punctuation or corporate suffixes share a key.
+     * @param {string} name - Manufacturer name
+     * @returns {string} Lookup key
+     */
+    getManufacturerKey(name) {
+        return manufacturerKey(this.normalizeManufacturer(name));
+    }
+
+    /**
+     * Resolves a model name to its canonical form with the first model rule that matches.
+     * @param {string} name - Model name as reported
+     * @param {string} [manufacturer] - Manufacturer name, for rules limited to one manufacturer
+     * @returns {string} Canonical model name, or the cleaned name if no rule matches
+     */
+    normalizeModel(name, manufacturer) {
+        const cleaned = clean(name);
+        const canonicalManufacturer = manufacturer ? this.normalizeManufacturer(manufacturer) : null;
+
+        for (const rule of this.modelRules) {
+            if (rule.manufacturer && rule.manufacturer !== canonicalManufacturer) {
+                continue;
+            }
+            const match = cleaned.match(rule.pattern);
+            if (match) {
+                return clean(rule.name.replace(/\$(\d)/g, (_, group) => match[group] || ''));
+            }
+        }
+        return cleaned;
+    }
+
+    /**
+     * Gets the lookup key of a model name.
+     * @param {string} name - Model name
+     * @param {string} [manufacturer] - Manufacturer name
+     * @returns {string} Lookup key
+     */
+    getModelKey(name, manufacturer) {
+        return this.normalizeModel(name, manufacturer).toLowerCase();
+    }
+
+    /**
+     * Returns a copy of a device with its manufacturer and model names normalized.
+     * @param {Object} device - Normalized device from NinjaService
+     * @returns {Object} Device with canonical system.manufacturer and system.model
+     */
+    normalizeDevice(device) {
+        if (!device.system) {
+            return device;
+        }
+        return {
+            ...device,
+            system: {
+                ...device.system,
+                manufacturer: this.normalizeManufacturer(device.system.manufacturer),
+                model: this.normalizeModel(device.system.model, device.system.manufacturer)
+            }
+        };
+    }
+}
+
+/**
+ * Trims a name and collapses runs of whitespace.
+ * @private
+ * @param {*} name - Name
+ * @returns {string} Cleaned name ("Unknown" if empty)
+ */
+function clean(name) {
+    const cleaned = String(name ?? '').replace(/\s+/g, ' ').trim();
+    return cleaned || 'Unknown';
+}
+
+/**
+ * Reduces a manufacturer name to lower-case letters and digits without corporate suffixes.
+ * @private
+ * @param {string} name - Manufacturer name
+ * @returns {string} Key, e.g. "dell" for "Dell Inc."
+ */
+function manufacturerKey(name) {
+    const words = String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ');
+    while (words.length > 1 && CORPORATE_SUFFIXES.has(words[words.length - 1])) {
+        words.pop();
+    }
+    return words.join('');
+}
+
+module.exports = NameNormalizer;
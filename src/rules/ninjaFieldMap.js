@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Mapping of Ninja RMM device custom fields to Snipe-IT asset fields, with type coercion.
+ * @module NinjaFieldMap
+ * @requires ../utils/config
+ * @requires ../utils/numbers
+ */
+
+const { loadJsonSetting } = require('../utils/config');
+const { parseFormattedNumber } = require('../utils/numbers');
+
+/**
+ * Standard Snipe-IT asset fields a Ninja custom field may be written to, with their default type.
+ * @private
+ */
+const STANDARD_FIELDS = {
+    order_number: 'text',
+    purchase_cost: 'number',
+    purchase_date: 'date',
+    warranty_months: 'number',
+    notes: 'text'
+};
+
+/**
+ * Converters from a Ninja custom field value to the text written to Snipe-IT.
+ * Each returns undefined for a value it cannot convert.
+ * @private
+ */
+const TYPES = {
+    text: value => String(value).trim(),
+    number: value => {
+        // Allow currency symbols and either separator style, e.g. "$1,299.00" or "1.299,00 €"
+        const number = parseFormattedNumber(value);
+        return Number.isFinite(number) ? String(number) : undefined;
+    },
+    date: value => {
+        // Ninja date fields hold epoch seconds; text dates are parsed as given
+        const date = typeof value === 'number' || /^\d+$/.test(String(value).trim())
+            ? new Date(Number(value) * 1000)
+            : new Date(String(value).trim());
+        return Number.isNaN(date.getTime()) ? undefined : date.toISOString().slice(0, 10);
+    },
+    boolean: value => {
+        const text = String(value).trim().toLowerCase();
+        if (value === true || ['true', 'yes', 'y', '1', 'on'].includes(text)) {
+            return true;
+        }
+        if (value === false || ['false', 'no', 'n', '0', 'off'].includes(text)) {
+            return false;
+        }
+        return undefined;
+    }
+};
+
+/**
+ * Class representing the mapping from Ninja device custom fields to Snipe-IT asset fields.
+ * Each entry maps a Ninja custom field name (e.g. "poNumber") to a standard asset field
+ * (order_number, purchase_cost, purchase_date, warranty_months, notes) or a custom field db column.
+ */
+class NinjaFieldMap {
+    /**
+     * Create a NinjaFieldMap instance.
+     * @param {Object} [config={}] - Map of Ninja custom field name to Snipe-IT field name or
+     *   { field, type, trueValue, falseValue }, where type is text, number, date or boolean
+     *   and booleans are written as trueValue/falseValue (default "1"/"0")
+     * @throws {Error} If an entry is invalid
+     */
+    constructor(config = {}) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('Ninja field map must be an object');
+        }
+
+        this.entries = Object.entries(config).map(([ninjaField, target]) => {
+            const entry = typeof target === 'string' ? { field: target } : { ...target };
+
+            if (typeof entry.field !== 'string' || !(STANDARD_FIELDS[entry.field] || entry.field.startsWith('_snipeit_'))) {
+                throw new Error(`Ninja field map entry ${ninjaField}: field must be one of ${Object.keys(STANDARD_FIELDS).join(', ')} or a Snipe-IT db column starting with _snipeit_`);
+            }
+            entry.type = entry.type || STANDARD_FIELDS[entry.field] || 'text';
+            if (!TYPES[entry.type]) {
+                throw new Error(`Ninja field map entry ${ninjaField}: unknown type "${entry.type}". Supported: ${Object.keys(TYPES).join(', ')}`);
+            }
+            entry.trueValue = String(entry.trueValue ?? '1');
+            entry.falseValue = String(entry.falseValue ?? '0');
+
+            return { ninjaField, ...entry };
+        });
+    }
+
+    /**
+     * Builds the field map named by the SnipeNinjaFieldMap setting.
+     * @returns {NinjaFieldMap} Configured map (empty if not configured)
+     * @throws {Error} If the configured map cannot be loaded or is invalid
+     */
+    static fromEnvironment() {
+        return new NinjaFieldMap(loadJsonSetting('SnipeNinjaFieldMap') || {});
+    }
+
+    /**
+     * Ninja custom field names read by this map, so only those are fetched.
+     * @returns {Array<string>} Ninja custom field names
+     */
+    get ninjaFields() {
+        return this.entries.map(entry => entry.ninjaField);
+    }
+
+    /**
+     * Snipe-IT fields written by this map.
+     * @returns {Array<string>} Field names
+     */
+    get fields() {
+        return this.entries.map(entry => entry.field);
+    }
+
+    /**
+     * Converts a device's Ninja custom field values into Snipe-IT field values.
+     * Empty values are left out so existing values are not cleared; values that cannot be
+     * converted to their type are left out and reported.
+     * @param {Object} device - Normalized device with customFields from NinjaService
+     * @returns {Object} { fields, errors }: values keyed by Snipe-IT field, and conversion errors
+     */
+    buildFields(device) {
+        const fields = {};
+        const errors = [];
+        const values = device.customFields || {};
+
+        for (const entry of this.entries) {
+            const value = values[entry.ninjaField];
+            if (value === undefined || value === null || String(value).trim() === '') {
+                continue;
+            }
+
+            const converted = TYPES[entry.type](value);
+            if (converted === undefined) {
+                errors.push(`Ninja custom field ${entry.ninjaField} value ${JSON.stringify(value)} is not a valid ${entry.type}`);
+            } else if (typeof converted === 'boolean') {
+                fields[entry.field] = converted ? entry.trueValue : entry.falseValue;
+            } else {
+                fields[entry.field] = converted;
+            }
+        }
+
+        return { fields, errors };
+    }
+}
+
+module.exports = NinjaFieldMap;
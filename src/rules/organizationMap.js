@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Mapping of Ninja RMM organizations and locations to Snipe-IT companies and locations.
+ * @module OrganizationMap
+ * @requires ../utils/config
+ */
+
+const { loadJsonSetting } = require('../utils/config');
+
+/**
+ * Class representing how Ninja organizations and locations are named in Snipe-IT.
+ * Explicit mappings win over name matching; a mapping to null leaves the field unset.
+ */
+class OrganizationMap {
+    /**
+     * Create an OrganizationMap instance.
+     * @param {Object} [config={}] - Mapping configuration
+     * @param {boolean} [config.companies=false] - Whether devices are assigned to companies
+     * @param {boolean} [config.locations=false] - Whether devices are assigned to locations
+     * @param {Object} [config.organizations] - Ninja organization name or ID to Snipe-IT company name
+     * @param {Object} [config.locationMap] - Ninja location ID, "Organization/Location" or location name
+     *   to Snipe-IT location name
+     * @param {string} [config.locationNameTemplate='{organization} - {location}'] - Snipe-IT location name
+     *   for unmapped locations; {organization} and {location} are replaced with the Ninja names, and
+     *   devices without an organization name use the location name alone
+     * @throws {Error} If the configuration is invalid
+     */
+    constructor(config = {}) {
+        for (const key of ['organizations', 'locationMap']) {
+            if (config[key] !== undefined && (typeof config[key] !== 'object' || Array.isArray(config[key]))) {
+                throw new Error(`Organization map: "${key}" must be an object`);
+            }
+        }
+
+        this.companies = Boolean(config.companies);
+        this.locations = Boolean(config.locations);
+        this.organizations = lowerCaseKeys(config.organizations || {});
+        this.locationMap = lowerCaseKeys(config.locationMap || {});
+        this.locationNameTemplate = config.locationNameTemplate || '{organization} - {location}';
+    }
+
+    /**
+     * Builds the map named by the SnipeOrganizationMap setting.
+     * Company and location assignment are enabled by SnipeSyncCompanies and SnipeSyncLocations.
+     * @returns {OrganizationMap} Configured map
+     * @throws {Error} If the configured map cannot be loaded or is invalid
+     */
+    static fromEnvironment() {
+        return new OrganizationMap({
+            ...(loadJsonSetting('SnipeOrganizationMap') || {}),
+            companies: process.env.SnipeSyncCompanies === 'true',
+            locations: process.env.SnipeSyncLocations === 'true'
+        });
+    }
+
+    /**
+     * Resolves the Snipe-IT company name for a device.
+     * @param {Object} device - Normalized device from NinjaService
+     * @returns {string|null} Company name, or null if the device should have no company
+     */
+    resolveCompanyName(device) {
+        if (!this.companies) {
+            return null;
+        }
+
+        const mapped = lookup(this.organizations, [device.organizationId, device.organizationName]);
+        if (mapped !== undefined) {
+            return mapped;
+        }
+        return device.organizationName || null;
+    }
+
+    /**
+     * Resolves the Snipe-IT location name for a device.
+     * @param {Object} device - Normalized device from NinjaService
+     * @returns {string|null} Location name, or null if the device should have no location
+     */
+    resolveLocationName(device) {
+        if (!this.locations) {
+            return null;
+        }
+
+        const mapped = lookup(this.locationMap, [
+            device.locationId,
+            device.organizationName && device.locationName ? `${device.organizationName}/${device.locationName}` : undefined,
+            device.locationName
+        ]);
+        if (mapped !== undefined) {
+            return mapped;
+        }
+        if (!device.locationName) {
+            return null;
+        }
+        if (!device.organizationName) {
+            return device.locationName;
+        }
+
+        return this.locationNameTemplate
+            .replace('{organization}', device.organizationName)
+            .replace('{location}', device.locationName)
+            .trim();
+    }
+}
+
+/**
+ * Returns a copy of a mapping with lower-cased keys for case-insensitive lookups.
+ * @private
+ * @param {Object} mapping - Mapping to copy
+ * @returns {Object} Mapping with lower-cased keys
+ */
+function lowerCaseKeys(mapping) {
+    return Object.fromEntries(Object.entries(mapping).map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+/**
+ * Finds the first candidate key present in a mapping.
+ * @private
+ * @param {Object} mapping - Mapping with lower-cased keys
+ * @param {Array<*>} candidates - Keys to try in order (undefined entries are skipped)
+ * @returns {string|null|undefined} Mapped value, or undefined if no candidate is mapped
+ */
+function lookup(mapping, candidates) {
+    for (const candidate of candidates) {
+        if (candidate === undefined || candidate === null) {
+            continue;
+        }
+        const key = String(candidate).toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+            return mapping[key];
+        }
+    }
+    return undefined;
+}
+
+module.exports = OrganizationMap;
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Serial numbers that firmware reports when no real serial has been set.
+ * @module placeholderSerials
+ * @requires ../utils/config
+ */
+
+const { loadJsonSetting } = require('../utils/config');
+
+/**
+ * Placeholder serials seen in the wild, lower-cased.
+ * @private
+ */
+const DEFAULT_PLACEHOLDER_SERIALS = [
+    'unknown',
+    'to be filled by o.e.m.',
+    'to be filled by oem',
+    'default string',
+    'system serial number',
+    'chassis serial number',
+    'not specified',
+    'not applicable',
+    'n/a',
+    'na',
+    'none',
+    'null',
+    'invalid',
+    '0123456789',
+    '123456789',
+    '1234567890',
+    'serial number'
+];
+
+/**
+ * Loads the placeholder serials: the built-in list plus any listed in SnipePlaceholderSerials.
+ * @returns {Set<string>} Lower-cased placeholder serials
+ * @throws {Error} If SnipePlaceholderSerials is set but is not a JSON array of strings
+ */
+function loadPlaceholderSerials() {
+    const extra = loadJsonSetting('SnipePlaceholderSerials') || [];
+    if (!Array.isArray(extra) || extra.some(serial => typeof serial !== 'string')) {
+        throw new Error('SnipePlaceholderSerials must be a JSON array of strings');
+    }
+
+    return new Set([...DEFAULT_PLACEHOLDER_SERIALS, ...extra.map(serial => serial.trim().toLowerCase())]);
+}
+
+/**
+ * Checks whether a serial number identifies a device.
+ * Missing serials, placeholder serials and serials made only of zeros do not.
+ * @param {string} serial - Serial number to check
+ * @param {Set<string>} placeholderSerials - Placeholder serials from loadPlaceholderSerials
+ * @returns {boolean} True if the serial can be used to match assets
+ */
+function isUsableSerial(serial, placeholderSerials) {
+    if (typeof serial !== 'string') {
+        return false;
+    }
+
+    const normalized = serial.trim().toLowerCase();
+    return normalized !== '' && !/^0+$/.test(normalized) && !placeholderSerials.has(normalized);
+}
+
+module.exports = {
+    loadPlaceholderSerials,
+    isUsableSerial
+};
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Allow-list mapping installed software reported by Ninja RMM to Snipe-IT licenses.
+ * @module SoftwareLicenseMap
+ * @requires ../utils/config
+ */
+
+const { loadJsonSetting } = require('../utils/config');
+
+/**
+ * Class representing the software products whose installs are tracked as Snipe-IT license seats.
+ * Entries are checked in order and the first whose name (and publisher, if given) patterns match
+ * a product decides its license; software no entry matches is ignored.
+ */
+class SoftwareLicenseMap {
+    /**
+     * Create a SoftwareLicenseMap instance.
+     * @param {Array<Object>} [config=[]] - Entries of the form { name, publisher?, licenseId }, where
+     *   name and publisher are case-insensitive regular expressions and licenseId is a Snipe-IT license ID
+     * @throws {Error} If an entry is invalid
+     */
+    constructor(config = []) {
+        if (!Array.isArray(config)) {
+            throw new Error('Software license map must be an array');
+        }
+
+        this.entries = config.map((entry, index) => {
+            const label = `Software license entry ${index}`;
+            if (!entry || !Number.isInteger(entry.licenseId) || entry.licenseId <= 0) {
+                throw new Error(`${label}: "licenseId" must be a Snipe-IT license ID`);
+            }
+            if (typeof entry.name !== 'string' || !entry.name) {
+                throw new Error(`${label}: "name" must be a regular expression`);
+            }
+            if (entry.publisher !== undefined && typeof entry.publisher !== 'string') {
+                throw new Error(`${label}: "publisher" must be a regular expression`);
+            }
+
+            return {
+                licenseId: entry.licenseId,
+                name: compile(entry.name, `${label}.name`),
+                publisher: entry.publisher ? compile(entry.publisher, `${label}.publisher`) : null
+            };
+        });
+    }
+
+    /**
+     * Builds the map named by the SnipeSoftwareLicenses setting (inline JSON or a file path).
+     * @returns {SoftwareLicenseMap} Configured map (empty, disabling the software stage, if not set)
+     * @throws {Error} If the setting cannot be loaded or is invalid
+     */
+    static fromEnvironment() {
+        return new SoftwareLicenseMap(loadJsonSetting('SnipeSoftwareLicenses') || []);
+    }
+
+    /**
+     * Whether any software is mapped, enabling the software license stage.
+     * @returns {boolean} True if the map has entries
+     */
+    get enabled() {
+        return this.entries.length > 0;
+    }
+
+    /**
+     * IDs of the licenses the map assigns seats of.
+     * @returns {Array<number>} Distinct license IDs
+     */
+    get licenseIds() {
+        return [...new Set(this.entries.map(entry => entry.licenseId))];
+    }
+
+    /**
+     * Resolves the license of an installed product.
+     * @param {Object} software - Installed product from Ninja, with name and publisher
+     * @returns {number|null} License ID, or null if the product is not on the allow-list
+     */
+    resolve(software) {
+        const entry = this.entries.find(candidate =>
+            candidate.name.test(software.name || '') &&
+            (!candidate.publisher || candidate.publisher.test(software.publisher || ''))
+        );
+        return entry ? entry.licenseId : null;
+    }
+}
+
+/**
+ * Compiles a case-insensitive pattern.
+ * @private
+ * @param {string} pattern - Regular expression source
+ * @param {string} label - Entry label used in error messages
+ * @returns {RegExp} Compiled pattern
+ * @throws {Error} If the pattern is invalid
+ */
+function compile(pattern, label) {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (error) {
+        throw new Error(`${label} is not a valid regular expression: ${error.message}`);
+    }
+}
+
+module.exports = SoftwareLicenseMap;
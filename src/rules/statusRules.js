@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Rules mapping Ninja RMM device state to Snipe-IT status label names.
+ * @module StatusRules
+ * @requires ../utils/config
+ * @requires ./deviceMatcher
+ */
+
+const { loadJsonSetting } = require('../utils/config');
+const { validateMatch, matchesDevice } = require('./deviceMatcher');
+
+/**
+ * Rules used when no rule set is configured: devices in maintenance mode are out for repair,
+ * devices not seen for 30 days are pending, everything else is ready to deploy.
+ * @private
+ */
+const DEFAULT_RULES = {
+    defaultStatus: 'Ready to Deploy',
+    rules: [
+        { status: 'Out for Repair', match: { maintenance: true } },
+        { status: 'Pending', match: { offlineDays: 30 } }
+    ]
+};
+
+/**
+ * Class representing an ordered set of status label rules.
+ * The first rule whose conditions all match a device decides its status label;
+ * unmatched devices get the default status label.
+ */
+class StatusRules {
+    /**
+     * Create a StatusRules instance.
+     * @param {Object} [config] - Rule set
+     * @param {Array<Object>} [config.rules] - Ordered rules of the form { status, match }
+     * @param {string} [config.defaultStatus] - Status label for devices no rule matches
+     * @throws {Error} If the rule set is invalid
+     */
+    constructor(config = DEFAULT_RULES) {
+        const rules = config.rules || [];
+        if (!Array.isArray(rules)) {
+            throw new Error('Status rules: "rules" must be an array');
+        }
+
+        rules.forEach((rule, index) => {
+            if (!rule || typeof rule.status !== 'string' || !rule.status.trim()) {
+                throw new Error(`Status rule ${index}: "status" must be a non-empty string`);
+            }
+            validateMatch(rule.match, `Status rule ${index}`);
+        });
+
+        this.rules = rules;
+        this.defaultStatus = process.env.SnipeDefaultStatus ||
+            config.defaultStatus ||
+            DEFAULT_RULES.defaultStatus;
+
+        // Built-in rules may name labels an instance lacks; configured labels must exist
+        this.usesDefaults = config === DEFAULT_RULES && !process.env.SnipeDefaultStatus;
+
+        // Labels the rules assign; assets in any other label were set by hand and are left alone
+        this.managedStatuses = new Set([this.defaultStatus, ...rules.map(rule => rule.status)]
+            .map(status => status.toLowerCase()));
+    }
+
+    /**
+     * Builds the rule set named by the SnipeStatusRules setting, or the default rules.
+     * @returns {StatusRules} Configured rule set
+     * @throws {Error} If the configured rule set cannot be loaded or is invalid
+     */
+    static fromEnvironment() {
+        return new StatusRules(loadJsonSetting('SnipeStatusRules') || DEFAULT_RULES);
+    }
+
+    /**
+     * Names of every status label the rules assign.
+     * @returns {Array<string>} Distinct label names, the default first
+     */
+    get statuses() {
+        return [...new Set([this.defaultStatus, ...this.rules.map(rule => rule.status)])];
+    }
+
+    /**
+     * Resolves the status label name for a device.
+     * @param {Object} device - Normalized device from NinjaService
+     * @returns {string} Status label name
+     */
+    resolve(device) {
+        const rule = this.rules.find(candidate => matchesDevice(candidate.match, device));
+        return rule ? rule.status : this.defaultStatus;
+    }
+
+    /**
+     * Checks whether the sync may change an asset's status label.
+     * @param {string} [statusName] - Name of the asset's current status label
+     * @returns {boolean} True if the asset has no status label or one the rules assign
+     */
+    manages(statusName) {
+        return !statusName || this.managedStatuses.has(statusName.toLowerCase());
+    }
+}
+
+module.exports = StatusRules;
@@ -0,0 +1,447 @@
+/**
+ * @fileoverview Device source reading a Ninja RMM device export (CSV or JSON) instead of the API.
+ * @module NinjaExportSource
+ * @requires fs/promises
+ * @requires path
+ * @requires ../utils/config
+ * @requires ../rules/ninjaFieldMap
+ * @requires ./ninjaService
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { loadJsonSetting } = require('../utils/config');
+const NinjaFieldMap = require('../rules/ninjaFieldMap');
+const NinjaService = require('./ninjaService');
+
+/**
+ * Column names recognised for each device property, compared case-insensitively and ignoring
+ * spaces and punctuation. NinjaExportColumns can name other columns.
+ * @private
+ */
+const DEFAULT_COLUMNS = {
+    id: ['id', 'deviceid', 'nodeid'],
+    systemName: ['systemname', 'devicename', 'name', 'displayname'],
+    nodeClass: ['nodeclass', 'deviceclass', 'class'],
+    organizationId: ['organizationid', 'orgid'],
+    organizationName: ['organization', 'organizationname', 'org'],
+    locationId: ['locationid'],
+    locationName: ['location', 'locationname'],
+    manufacturer: ['manufacturer', 'systemmanufacturer', 'vendor'],
+    model: ['model', 'systemmodel'],
+    serialNumber: ['serialnumber', 'serial', 'systemserialnumber'],
+    biosSerialNumber: ['biosserialnumber', 'biosserial'],
+    domain: ['domain'],
+    domainRole: ['domainrole'],
+    numberOfProcessors: ['numberofprocessors', 'processors', 'cpucount'],
+    totalPhysicalMemory: ['totalphysicalmemory', 'memory', 'ram'],
+    virtualMachine: ['virtualmachine', 'isvirtualmachine', 'virtual'],
+    chassisType: ['chassistype', 'chassis'],
+    osName: ['osname', 'os', 'operatingsystem'],
+    osManufacturer: ['osmanufacturer'],
+    osBuildNumber: ['osbuildnumber', 'osbuild', 'buildnumber'],
+    lastLoggedInUser: ['lastloggedinuser', 'lastloggedonuser', 'lastuser'],
+    ipAddresses: ['ipaddresses', 'ipaddress', 'ip'],
+    macAddresses: ['macaddresses', 'macaddress', 'mac'],
+    publicIP: ['publicip', 'publicipaddress'],
+    offline: ['offline', 'isoffline'],
+    lastContact: ['lastcontact', 'lastseen', 'lastonline'],
+    maintenance: ['maintenance', 'inmaintenance', 'maintenancemode']
+};
+
+/**
+ * Display names used in exports for node classes whose enum differs from the name in capitals,
+ * after parseEnum has normalized them.
+ * @private
+ */
+const NODE_CLASS_ALIASES = {
+    WINDOWS_DESKTOP: 'WINDOWS_WORKSTATION',
+    WINDOWS_LAPTOP: 'WINDOWS_WORKSTATION',
+    MAC_WORKSTATION: 'MAC',
+    MACOS: 'MAC',
+    LINUX_DESKTOP: 'LINUX_WORKSTATION',
+    VMWARE_HOST: 'VMWARE_VM_HOST',
+    VMWARE_ESXI_HOST: 'VMWARE_VM_HOST',
+    VMWARE_GUEST: 'VMWARE_VM_GUEST',
+    HYPER_V_HOST: 'HYPERV_VMM_HOST',
+    HYPER_V_GUEST: 'HYPERV_VMM_GUEST'
+};
+
+/**
+ * Class representing a Ninja RMM device export used as the device source.
+ * Exports are read from a CSV file or a JSON array of rows; JSON arrays of already normalized
+ * devices (such as the output of `ninja-snipe-sync list-devices --json`) are replayed as they are.
+ * Offers the device methods of NinjaService used by the sync pipeline.
+ */
+class NinjaExportSource {
+    /**
+     * Create a NinjaExportSource instance.
+     * @param {string} filePath - Path of the export file (.csv or .json)
+     * @param {Object} [columns] - Column names by device property, overriding the defaults
+     *   (defaults to NinjaExportColumns)
+     * @throws {Error} If filePath is not provided or a column mapping is invalid
+     */
+    constructor(filePath, columns = loadJsonSetting('NinjaExportColumns') || {}) {
+        if (!filePath) {
+            throw new Error('A Ninja export file path is required');
+        }
+
+        Object.entries(columns).forEach(([property, column]) => {
+            if (!DEFAULT_COLUMNS[property]) {
+                throw new Error(`Ninja export columns: unknown property "${property}". Supported: ${Object.keys(DEFAULT_COLUMNS).join(', ')}`);
+            }
+            if (typeof column !== 'string' || !column.trim()) {
+                throw new Error(`Ninja export columns: "${property}" must name a column`);
+            }
+        });
+
+        this.filePath = path.resolve(filePath);
+        this.columns = Object.fromEntries(Object.entries(DEFAULT_COLUMNS).map(([property, names]) => [
+            property,
+            columns[property] ? [normalizeColumn(columns[property])] : names
+        ]));
+
+        // Mapped device custom fields are read from columns of the same name
+        this.customFields = NinjaFieldMap.fromEnvironment().ninjaFields;
+
+        // An export covers only the devices it was taken from, and there is no API to write back to
+        this.partialInventory = true;
+        this.assetTagField = null;
+        this.assetUrlField = null;
+        this.devicesById = null;
+    }
+
+    /**
+     * Reads all devices from the export file.
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array<Object>>} Normalized devices
+     * @throws {Error} If the file cannot be read or parsed
+     */
+    async getDevices(context) {
+        let contents;
+        try {
+            contents = (await fs.readFile(this.filePath, 'utf8')).replace(/^\uFEFF/, '');
+        } catch (error) {
+            throw new Error(`Failed to read Ninja export ${this.filePath}: ${error.message}`);
+        }
+
+        const isJson = path.extname(this.filePath).toLowerCase() === '.json' || /^\s*[[{]/.test(contents);
+        const { rows, organizations, locations } = isJson ? this.parseJson(contents) : { rows: parseCsv(contents) };
+
+        // Devices saved from the API are normalized like live data
+        const apiDevices = NinjaService.forCapturedDevices({ organizations, locations });
+
+        const devices = [];
+        rows.forEach((row, index) => {
+            let device;
+            if (isNormalizedDevice(row)) {
+                device = this.createReplayedDetails(row);
+            } else if (row.system && typeof row.system === 'object') {
+                device = apiDevices.createDeviceDetails(row);
+            } else {
+                device = this.createExportDeviceDetails(row);
+            }
+
+            if (device.id === undefined || device.id === '') {
+                context.log(`Skipping Ninja export row ${index + 1}: no device ID`);
+                return;
+            }
+            devices.push(device);
+        });
+
+        this.devicesById = new Map(devices.map(device => [String(device.id), device]));
+        context.log(`Read ${devices.length} devices from Ninja export ${this.filePath}`);
+        return devices;
+    }
+
+    /**
+     * Gets a single device from the export.
+     * @param {number|string} deviceId - Ninja device ID
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object|null>} Normalized device, or null if the export does not contain it
+     */
+    async getDevice(deviceId, context) {
+        if (!this.devicesById) {
+            await this.getDevices(context);
+        }
+        return this.devicesById.get(String(deviceId)) || null;
+    }
+
+    /**
+     * Filters out device classes the sync does not handle, like NinjaService#processDevices.
+     * Devices from an export are already normalized.
+     * @param {Array<Object>} devices - Devices from getDevices
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Array<Object>} Devices to sync
+     */
+    processDevices(devices, context) {
+        return devices.filter(device => {
+            const synced = device.nodeClass !== 'VMWARE_VM_GUEST' && device.nodeClass !== 'CLOUD_MONITOR_TARGET';
+            if (synced) {
+                context.log('Processing device:', device.id, device.systemName, device.nodeClass);
+            }
+            return synced;
+        });
+    }
+
+    /**
+     * Parses a JSON export: an array of rows, or an object holding one under "devices", optionally
+     * with the API's "organizations" and "locations" to name those of devices saved from the API.
+     * @private
+     * @param {string} contents - File contents
+     * @returns {Object} { rows, organizations, locations }
+     * @throws {Error} If the JSON is invalid or holds no array of rows
+     */
+    parseJson(contents) {
+        let data;
+        try {
+            data = JSON.parse(contents);
+        } catch (error) {
+            throw new Error(`Ninja export ${this.filePath} contains invalid JSON: ${error.message}`);
+        }
+
+        const rows = Array.isArray(data) ? data : data?.devices;
+        if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object')) {
+            throw new Error(`Ninja export ${this.filePath} must hold an array of device objects`);
+        }
+        return {
+            rows,
+            organizations: Array.isArray(data?.organizations) ? data.organizations : [],
+            locations: Array.isArray(data?.locations) ? data.locations : []
+        };
+    }
+
+    /**
+     * Maps an export row to the normalized device shape of NinjaService#createStandardDeviceDetails.
+     * @private
+     * @param {Object} row - Export row keyed by column name
+     * @returns {Object} Normalized device
+     */
+    createExportDeviceDetails(row) {
+        const values = {};
+        Object.entries(row).forEach(([column, value]) => {
+            values[normalizeColumn(column)] = typeof value === 'string' ? value.trim() : value;
+        });
+        const read = property => {
+            const column = this.columns[property].find(name => values[name] !== undefined && values[name] !== '');
+            return column ? values[column] : undefined;
+        };
+
+        return {
+            id: parseId(read('id')),
+            systemName: read('systemName'),
+            nodeClass: parseEnum(read('nodeClass'), NODE_CLASS_ALIASES),
+            organizationId: parseId(read('organizationId')),
+            organizationName: read('organizationName'),
+            locationId: parseId(read('locationId')),
+            locationName: read('locationName'),
+            os: {
+                name: read('osName'),
+                manufacturer: read('osManufacturer'),
+                buildNumber: read('osBuildNumber')
+            },
+            lastLoggedInUser: read('lastLoggedInUser'),
+            ipAddresses: parseList(read('ipAddresses')),
+            macAddresses: parseList(read('macAddresses')),
+            publicIP: read('publicIP'),
+            offline: parseBoolean(read('offline')),
+            lastContact: parseDate(read('lastContact')),
+            maintenance: parseBoolean(read('maintenance')),
+            ...(this.customFields.length > 0 && {
+                customFields: Object.fromEntries(this.customFields
+                    .map(name => [name, values[normalizeColumn(name)]])
+                    .filter(([, value]) => value !== undefined && value !== ''))
+            }),
+            system: {
+                name: read('systemName') || 'Unknown',
+                manufacturer: read('manufacturer') || 'Unknown',
+                model: read('model') || 'Unknown',
+                biosSerialNumber: read('biosSerialNumber') || 'Unknown',
+                serialNumber: read('serialNumber') || 'Unknown',
+                domain: read('domain'),
+                domainRole: read('domainRole'),
+                numberOfProcessors: parseNumber(read('numberOfProcessors')),
+                totalPhysicalMemory: parseNumber(read('totalPhysicalMemory')),
+                virtualMachine: parseBoolean(read('virtualMachine')),
+                chassisType: parseEnum(read('chassisType'))
+            }
+        };
+    }
+
+    /**
+     * Completes a device that was captured already normalized, so that older captures missing
+     * newer properties still sync.
+     * @private
+     * @param {Object} device - Normalized device
+     * @returns {Object} Normalized device
+     */
+    createReplayedDetails(device) {
+        return {
+            ...device,
+            os: device.os || {},
+            ipAddresses: device.ipAddresses || [],
+            macAddresses: device.macAddresses || [],
+            system: {
+                ...device.system,
+                manufacturer: device.system.manufacturer || 'Unknown',
+                model: device.system.model || 'Unknown',
+                serialNumber: device.system.serialNumber || 'Unknown'
+            }
+        };
+    }
+}
+
+/**
+ * Tells devices already in the sync's normalized shape (such as list-devices --json output) from
+ * devices saved from the Ninja API, which carry lastContact in epoch seconds and maintenance as an
+ * object rather than a flag.
+ * @private
+ * @param {Object} row - JSON export row
+ * @returns {boolean} True if the row is a normalized device
+ */
+function isNormalizedDevice(row) {
+    return Boolean(row.system) && typeof row.system === 'object' &&
+        typeof row.maintenance === 'boolean' &&
+        (row.lastContact === undefined || typeof row.lastContact === 'string');
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may contain commas, quotes and line breaks) into rows
+ * keyed by the header line.
+ * @private
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') {
+                index++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header = [], ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+    return rows.map(row => Object.fromEntries(header.map((column, index) => [column, row[index] ?? ''])));
+}
+
+/**
+ * Reduces a column name to lower-case letters and digits, so "Serial Number" matches "serialNumber".
+ * @private
+ * @param {string} column - Column name
+ * @returns {string} Normalized column name
+ */
+function normalizeColumn(column) {
+    return String(column).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Converts numeric IDs to numbers, as the Ninja API returns them.
+ * @private
+ * @param {*} value - ID from the export
+ * @returns {number|string|undefined} ID
+ */
+function parseId(value) {
+    return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Turns a display name such as "Windows Server" into Ninja's enum form, WINDOWS_SERVER.
+ * @private
+ * @param {*} value - Name from the export
+ * @param {Object} [aliases={}] - Enum values of display names that differ from the name in capitals
+ * @returns {string|undefined} Enum value, or undefined if empty
+ */
+function parseEnum(value, aliases = {}) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const name = String(value).trim().toUpperCase().replace(/[\s-]+/g, '_');
+    return aliases[name] || name;
+}
+
+/**
+ * Parses a numeric cell.
+ * @private
+ * @param {*} value - Number from the export
+ * @returns {number|undefined} Number, or undefined if not numeric
+ */
+function parseNumber(value) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const number = Number(value);
+    return Number.isNaN(number) ? undefined : number;
+}
+
+/**
+ * Parses a yes/no cell.
+ * @private
+ * @param {*} value - Flag from the export ("true", "yes", "1", ...)
+ * @returns {boolean} Flag
+ */
+function parseBoolean(value) {
+    return value === true || ['true', 'yes', 'y', '1'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Parses a date cell: ISO 8601 text, other text Date understands, or epoch seconds as Ninja reports them.
+ * @private
+ * @param {*} value - Date from the export
+ * @returns {string|undefined} ISO 8601 date, or undefined if not a date
+ */
+function parseDate(value) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const date = /^\d+(\.\d+)?$/.test(String(value)) ? new Date(Number(value) * 1000) : new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Splits a list cell ("10.0.0.1; 10.0.0.2") into its values.
+ * @private
+ * @param {*} value - List from the export, as text or an array
+ * @returns {Array<string>} Values
+ */
+function parseList(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return String(value).split(/[;,\s]+/).filter(Boolean);
+}
+
+module.exports = NinjaExportSource;
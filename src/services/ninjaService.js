@@ -2,9 +2,13 @@
  * @fileoverview Service layer for interacting with Ninja RMM API.
  * @module NinjaService
  * @requires axios
+ * @requires ../utils/retryPolicy
+ * @requires ../rules/ninjaFieldMap
  */
 
 const axios = require('axios');
+const RetryPolicy = require('../utils/retryPolicy');
+const NinjaFieldMap = require('../rules/ninjaFieldMap');
 
 /**
  * Class representing a Ninja RMM service.
@@ -16,9 +20,13 @@ class NinjaService {
      * @param {string} baseUrl - The base URL for the Ninja RMM API
      * @param {string} clientId - OAuth client ID
      * @param {string} clientSecret - OAuth client secret
+     * @param {Object} [options={}] - Service options
+     * @param {RetryPolicy} [options.retryPolicy] - Retry policy for API requests (defaults to the Http* settings)
+     * @param {Array<string>} [options.customFields] - Device custom fields to read (defaults to those in SnipeNinjaFieldMap)
+     * @param {boolean} [options.storage] - Read disk and volume inventory (defaults to SnipeSyncComponents)
      * @throws {Error} If required parameters are not provided
      */
-    constructor(baseUrl, clientId, clientSecret) {
+    constructor(baseUrl, clientId, clientSecret, options = {}) {
         if (!baseUrl || !clientId || !clientSecret) {
             throw new Error('Required Ninja RMM parameters are missing');
         }
@@ -34,22 +42,72 @@ class NinjaService {
 
         this.clientId = clientId;
         this.clientSecret = clientSecret;
+
+        // Number of items requested per page from list endpoints
+        this.pageSize = parseInt(process.env.NinjaPageSize, 10) || 1000;
+
+        // Organization and location names by ID, loaded alongside devices
+        this.organizationsById = new Map();
+        this.locationsById = new Map();
+
+        // Device custom field values by device ID, loaded alongside devices when any are mapped
+        this.customFields = options.customFields || NinjaFieldMap.fromEnvironment().ninjaFields;
+        this.customFieldsByDevice = new Map();
+
+        // Disk and volume inventory by device ID, loaded alongside devices when disks are synced as components
+        this.storage = options.storage ?? process.env.SnipeSyncComponents === 'true';
+        this.disksByDevice = new Map();
+        this.volumesByDevice = new Map();
+
+        // Writing custom fields back to devices needs the management scope
+        this.assetTagField = process.env.NinjaAssetTagField || null;
+        this.assetUrlField = process.env.NinjaAssetUrlField || null;
+        this.scope = process.env.NinjaScope ||
+            (this.assetTagField || this.assetUrlField ? 'monitoring management' : 'monitoring');
+
+        // Access token reused until shortly before it expires
+        this.accessToken = null;
+        this.accessTokenExpiresAt = 0;
+
+        // Retries and per-request timeouts
+        this.retryPolicy = options.retryPolicy || RetryPolicy.fromEnvironment();
+        this.http = axios.create({ timeout: this.retryPolicy.timeoutMs });
     }
 
     /**
-     * Gets an OAuth token from Ninja RMM API.
+     * Sends a request to the Ninja RMM API, retrying transient failures.
+     * @private
+     * @param {Object} config - Axios request config
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Response from the API
+     * @throws {Error} If the request fails
+     */
+    async request(config, context) {
+        return await this.retryPolicy.execute(
+            () => this.http.request(config),
+            context,
+            { description: `Ninja ${config.method.toUpperCase()} ${config.url}` }
+        );
+    }
+
+    /**
+     * Gets an OAuth token from Ninja RMM API, reusing the previous token until it is about to expire.
      * @private
      * @param {Object} context - Azure Function context for logging
      * @returns {Promise<string>} Access token
      * @throws {Error} If token acquisition fails
      */
     async getToken(context) {
+        if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+            return this.accessToken;
+        }
+
         try {
             const params = new URLSearchParams({
                 grant_type: 'client_credentials',
                 client_id: this.clientId,
                 client_secret: this.clientSecret,
-                scope: 'monitoring',
+                scope: this.scope,
                 code: 'string',
                 refresh_token: 'string',
                 redirect_uri: 'http://localhost',
@@ -67,14 +125,22 @@ class NinjaService {
                 throw new Error(`Failed to construct auth URL: ${error.message}`);
             }
 
-            const response = await axios.post(authEndpoint.toString(), params, {
+            const response = await this.request({
+                method: 'post',
+                url: authEndpoint.toString(),
+                data: params,
                 headers: {
                     'accept': 'application/json',
                     'Content-Type': 'application/x-www-form-urlencoded'
                 }
-            });
+            }, context);
 
-            return response.data.access_token;
+            // Refresh a minute early so a token never expires mid-request
+            const expiresIn = Number(response.data.expires_in) || 3600;
+            this.accessToken = response.data.access_token;
+            this.accessTokenExpiresAt = Date.now() + Math.max(expiresIn - 60, 0) * 1000;
+
+            return this.accessToken;
         } catch (error) {
             context.error('Token acquisition failed:', error);
             throw error;
@@ -83,6 +149,9 @@ class NinjaService {
 
     /**
      * Retrieves device data from Ninja RMM API.
+     * Follows the pageSize/after cursor until every device has been returned, then loads
+     * organizations and locations so devices can be labelled with their names, and the
+     * values of mapped device custom fields.
      * @param {Object} context - Azure Function context for logging
      * @returns {Promise<Array>} Array of device objects
      * @throws {Error} If API call fails
@@ -92,30 +161,447 @@ class NinjaService {
             const accessToken = await this.getToken(context);
             context.log('Successfully obtained access token');
 
+            const devices = await this.getPagedList(process.env.NinjaDeviceDetailEndpoint, accessToken, 'device', context);
+            await this.loadOrganizations(accessToken, context);
+            if (this.customFields.length > 0) {
+                await this.loadCustomFields(accessToken, context);
+            }
+            if (this.storage) {
+                await this.loadStorage(accessToken, context);
+            }
+
+            return devices;
+        } catch (error) {
+            context.error('Device retrieval failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves a single device from Ninja RMM API, along with organization and location names,
+     * the values of mapped device custom fields and, when enabled, its disks and volumes.
+     * @param {number|string} deviceId - Ninja device ID
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object|null>} Device object, or null if the device does not exist
+     * @throws {Error} If API call fails
+     */
+    async getDevice(deviceId, context) {
+        try {
+            const accessToken = await this.getToken(context);
+
             // Construct and validate URL
             let deviceEndpoint;
             try {
-                context.log('Base URL:', this.baseUrl);
-                context.log('Device endpoint path:', process.env.NinjaDeviceDetailEndpoint);
-                deviceEndpoint = new URL(process.env.NinjaDeviceDetailEndpoint, this.baseUrl);
+                const endpointPath = (process.env.NinjaDeviceEndpoint || '/v2/device/{id}')
+                    .replace('{id}', encodeURIComponent(deviceId));
+                deviceEndpoint = new URL(endpointPath, this.baseUrl);
                 context.log('Constructed device endpoint:', deviceEndpoint.toString());
             } catch (error) {
                 throw new Error(`Failed to construct device URL: ${error.message}`);
             }
 
-            const response = await axios.get(deviceEndpoint.toString(), {
+            let response;
+            try {
+                response = await this.request({
+                    method: 'get',
+                    url: deviceEndpoint.toString(),
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`
+                    }
+                }, context);
+            } catch (error) {
+                if (error.response?.status === 404) {
+                    context.log(`Device ${deviceId} not found in Ninja RMM`);
+                    return null;
+                }
+                throw error;
+            }
+
+            // Organizations and locations loaded for an earlier device are reused unless this one is new
+            if (!this.organizationsById.has(response.data.organizationId) ||
+                (response.data.locationId != null && !this.locationsById.has(response.data.locationId))) {
+                await this.loadOrganizations(accessToken, context);
+            }
+            if (this.customFields.length > 0) {
+                const values = await this.getDeviceCustomFields(deviceId, context);
+                this.customFieldsByDevice.set(response.data.id, this.pickCustomFields(values));
+            }
+            if (this.storage) {
+                this.disksByDevice.set(response.data.id, await this.getDeviceList(
+                    process.env.NinjaDeviceDisksEndpoint || '/v2/device/{id}/disks', deviceId, accessToken, 'disk', context));
+                this.volumesByDevice.set(response.data.id, await this.getDeviceList(
+                    process.env.NinjaDeviceVolumesEndpoint || '/v2/device/{id}/volumes', deviceId, accessToken, 'volume', context));
+            }
+            return response.data;
+        } catch (error) {
+            context.error(`Retrieval of device ${deviceId} failed:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the custom field values of a device.
+     * @param {number|string} deviceId - Ninja device ID
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Custom field values keyed by field name
+     * @throws {Error} If API call fails
+     */
+    async getDeviceCustomFields(deviceId, context) {
+        try {
+            const accessToken = await this.getToken(context);
+            const response = await this.request({
+                method: 'get',
+                url: this.buildCustomFieldsUrl(deviceId),
                 headers: {
                     'Authorization': `Bearer ${accessToken}`
                 }
-            });
+            }, context);
 
-            return response.data;
+            return response.data || {};
         } catch (error) {
-            context.error('Device retrieval failed:', error);
+            context.error(`Custom field retrieval for device ${deviceId} failed:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Updates custom field values of a device. Requires a token with the management scope.
+     * @param {number|string} deviceId - Ninja device ID
+     * @param {Object} fields - Custom field values keyed by field name
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     * @throws {Error} If API call fails
+     */
+    async updateDeviceCustomFields(deviceId, fields, context) {
+        try {
+            const accessToken = await this.getToken(context);
+            await this.request({
+                method: 'patch',
+                url: this.buildCustomFieldsUrl(deviceId),
+                data: fields,
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': 'application/json'
+                }
+            }, context);
+
+            context.log(`Updated custom fields of Ninja device ${deviceId}:`, JSON.stringify(fields));
+        } catch (error) {
+            context.error(`Custom field update for device ${deviceId} failed:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Builds the asset tag and asset URL custom field values for a device.
+     * Only fields configured through NinjaAssetTagField and NinjaAssetUrlField are included.
+     * @param {string} assetTag - Snipe-IT asset tag
+     * @param {string} assetUrl - Link to the Snipe-IT hardware page
+     * @returns {Object} Custom field values keyed by field name (empty if write-back is disabled)
+     */
+    buildAssetLinkFields(assetTag, assetUrl) {
+        const fields = {};
+        if (this.assetTagField && assetTag) {
+            fields[this.assetTagField] = assetTag;
+        }
+        if (this.assetUrlField && assetUrl) {
+            fields[this.assetUrlField] = assetUrl;
+        }
+        return fields;
+    }
+
+    /**
+     * Builds the custom fields URL of a device.
+     * @private
+     * @param {number|string} deviceId - Ninja device ID
+     * @returns {string} Custom fields URL
+     * @throws {Error} If the URL cannot be constructed
+     */
+    buildCustomFieldsUrl(deviceId) {
+        try {
+            const endpointPath = (process.env.NinjaDeviceCustomFieldsEndpoint || '/v2/device/{id}/custom-fields')
+                .replace('{id}', encodeURIComponent(deviceId));
+            return new URL(endpointPath, this.baseUrl).toString();
+        } catch (error) {
+            throw new Error(`Failed to construct custom fields URL: ${error.message}`);
+        }
+    }
+
+    /**
+     * Loads all organizations and locations into the name lookup maps.
+     * @private
+     * @param {string} accessToken - OAuth access token
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     * @throws {Error} If API call fails
+     */
+    async loadOrganizations(accessToken, context) {
+        const organizations = await this.getPagedList(
+            process.env.NinjaOrganizationsEndpoint || '/v2/organizations',
+            accessToken,
+            'organization',
+            context
+        );
+        const locations = await this.getPagedList(
+            process.env.NinjaLocationsEndpoint || '/v2/locations',
+            accessToken,
+            'location',
+            context
+        );
+
+        this.organizationsById = new Map(organizations.map(organization => [organization.id, organization]));
+        this.locationsById = new Map(locations.map(location => [location.id, location]));
+    }
+
+    /**
+     * Loads the values of the mapped custom fields of every device with the custom fields query.
+     * @private
+     * @param {string} accessToken - OAuth access token
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     * @throws {Error} If the URL is invalid or an API call fails
+     */
+    async loadCustomFields(accessToken, context) {
+        const rows = await this.getQueryResults(
+            process.env.NinjaCustomFieldsQueryEndpoint || '/v2/queries/custom-fields',
+            { fields: this.customFields.join(',') },
+            accessToken,
+            'custom field',
+            context
+        );
+
+        this.customFieldsByDevice = new Map(rows.map(row => [row.deviceId, this.pickCustomFields(row.fields)]));
+    }
+
+    /**
+     * Loads the disks and volumes of every device with the disk and volume queries.
+     * @private
+     * @param {string} accessToken - OAuth access token
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     * @throws {Error} If the URL is invalid or an API call fails
+     */
+    async loadStorage(accessToken, context) {
+        const disks = await this.getQueryResults(
+            process.env.NinjaDisksQueryEndpoint || '/v2/queries/disks', {}, accessToken, 'disk', context);
+        const volumes = await this.getQueryResults(
+            process.env.NinjaVolumesQueryEndpoint || '/v2/queries/volumes', {}, accessToken, 'volume', context);
+
+        this.disksByDevice = groupByDevice(disks);
+        this.volumesByDevice = groupByDevice(volumes);
+    }
+
+    /**
+     * Retrieves a per-device list endpoint, such as the disks of one device.
+     * @private
+     * @param {string} endpointTemplate - Endpoint path with an {id} placeholder for the device ID
+     * @param {number|string} deviceId - Ninja device ID
+     * @param {string} accessToken - OAuth access token
+     * @param {string} label - Item name used in log and error messages (e.g. 'disk')
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array>} Items returned for the device
+     * @throws {Error} If the URL is invalid, the response is not a list or the API call fails
+     */
+    async getDeviceList(endpointTemplate, deviceId, accessToken, label, context) {
+        let endpoint;
+        try {
+            endpoint = new URL(endpointTemplate.replace('{id}', encodeURIComponent(deviceId)), this.baseUrl);
+        } catch (error) {
+            throw new Error(`Failed to construct ${label} URL: ${error.message}`);
+        }
+
+        const response = await this.request({
+            method: 'get',
+            url: endpoint.toString(),
+            headers: {
+                'Authorization': `Bearer ${accessToken}`
+            }
+        }, context);
+
+        if (!Array.isArray(response.data)) {
+            throw new Error(`Unexpected ${label} response from Ninja RMM: ${JSON.stringify(response.data)}`);
+        }
+        context.log(`Retrieved ${response.data.length} ${label}s of device ${deviceId}`);
+        return response.data;
+    }
+
+    /**
+     * Retrieves the installed software of every device with the software inventory query.
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array<Object>>} Installed products, each with deviceId, name, publisher and version
+     * @throws {Error} If API call fails
+     */
+    async getSoftwareInventory(context) {
+        try {
+            const accessToken = await this.getToken(context);
+            return await this.getQueryResults(
+                process.env.NinjaSoftwareQueryEndpoint || '/v2/queries/software',
+                {},
+                accessToken,
+                'software',
+                context
+            );
+        } catch (error) {
+            context.error('Software inventory retrieval failed:', error.response?.data || error.message);
             throw error;
         }
     }
 
+    /**
+     * Retrieves every row of a Ninja RMM query endpoint (/v2/queries/...) by following its cursor.
+     * @private
+     * @param {string} endpointPath - Endpoint path relative to the base URL
+     * @param {Object} queryParams - Query parameters besides paging
+     * @param {string} accessToken - OAuth access token
+     * @param {string} label - Row name used in log and error messages (e.g. 'software')
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array>} All rows returned by the query
+     * @throws {Error} If the URL is invalid or an API call fails
+     */
+    async getQueryResults(endpointPath, queryParams, accessToken, label, context) {
+        let endpoint;
+        try {
+            endpoint = new URL(endpointPath, this.baseUrl);
+        } catch (error) {
+            throw new Error(`Failed to construct ${label} query URL: ${error.message}`);
+        }
+
+        const rows = [];
+        let cursor;
+
+        while (true) {
+            const params = { ...queryParams, pageSize: this.pageSize };
+            if (cursor !== undefined) {
+                params.cursor = cursor;
+            }
+
+            const response = await this.request({
+                method: 'get',
+                url: endpoint.toString(),
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                params
+            }, context);
+
+            const page = response.data?.results;
+            if (!Array.isArray(page)) {
+                throw new Error(`Unexpected ${label} query response from Ninja RMM: ${JSON.stringify(response.data)}`);
+            }
+
+            rows.push(...page);
+            context.log(`Retrieved ${page.length} ${label} rows (total so far: ${rows.length})`);
+
+            // Only an empty page or a missing cursor ends the query: Ninja may cap pages below the requested size
+            const nextCursor = response.data.cursor?.name;
+            if (page.length === 0 || !nextCursor) {
+                break;
+            }
+            cursor = nextCursor;
+        }
+
+        return rows;
+    }
+
+    /**
+     * Limits custom field values to the mapped fields.
+     * @private
+     * @param {Object} [values] - Custom field values keyed by field name
+     * @returns {Object} Values of the mapped fields that are set
+     */
+    pickCustomFields(values = {}) {
+        return Object.fromEntries(
+            this.customFields
+                .filter(name => values?.[name] !== undefined && values[name] !== null)
+                .map(name => [name, values[name]])
+        );
+    }
+
+    /**
+     * Retrieves every item of a Ninja RMM list endpoint by following its pageSize/after cursor
+     * until an empty page comes back.
+     * @private
+     * @param {string} endpointPath - Endpoint path relative to the base URL
+     * @param {string} accessToken - OAuth access token
+     * @param {string} label - Item name used in log and error messages (e.g. 'device')
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array>} All items returned by the endpoint
+     * @throws {Error} If the URL is invalid or an API call fails
+     */
+    async getPagedList(endpointPath, accessToken, label, context) {
+        // Construct and validate URL
+        let endpoint;
+        try {
+            context.log('Base URL:', this.baseUrl);
+            context.log(`${label} endpoint path:`, endpointPath);
+            endpoint = new URL(endpointPath, this.baseUrl);
+            context.log(`Constructed ${label} endpoint:`, endpoint.toString());
+        } catch (error) {
+            throw new Error(`Failed to construct ${label} URL: ${error.message}`);
+        }
+
+        const items = [];
+        let after;
+
+        while (true) {
+            const params = { pageSize: this.pageSize };
+            if (after !== undefined) {
+                params.after = after;
+            }
+
+            const response = await this.request({
+                method: 'get',
+                url: endpoint.toString(),
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                },
+                params
+            }, context);
+
+            if (!Array.isArray(response.data)) {
+                throw new Error(`Unexpected ${label} response from Ninja RMM: ${JSON.stringify(response.data)}`);
+            }
+
+            const page = response.data;
+            items.push(...page);
+            context.log(`Retrieved ${page.length} ${label}s (total so far: ${items.length})`);
+
+            // Only an empty page ends the list: Ninja may cap pages below the requested size
+            if (page.length === 0) {
+                break;
+            }
+
+            const nextCursor = page[page.length - 1].id;
+            if (nextCursor === undefined || nextCursor === after) {
+                throw new Error(`Ninja RMM ${label} cursor did not advance past ${after}`);
+            }
+            after = nextCursor;
+        }
+
+        return items;
+    }
+
+    /**
+     * Creates a service that only normalizes device data captured from the API, such as a saved
+     * devices-detailed response, without credentials or API access. Captured data holds no
+     * custom field values or disk inventory.
+     * @param {Object} [references={}] - Data captured alongside the devices
+     * @param {Array<Object>} [references.organizations=[]] - Organizations as returned by the API
+     * @param {Array<Object>} [references.locations=[]] - Locations as returned by the API
+     * @returns {NinjaService} Service whose createDeviceDetails normalizes captured devices
+     */
+    static forCapturedDevices({ organizations = [], locations = [] } = {}) {
+        const service = Object.create(NinjaService.prototype);
+        service.organizationsById = new Map(organizations.map(organization => [organization.id, organization]));
+        service.locationsById = new Map(locations.map(location => [location.id, location]));
+        service.customFields = [];
+        service.customFieldsByDevice = new Map();
+        service.storage = false;
+        service.disksByDevice = new Map();
+        service.volumesByDevice = new Map();
+        return service;
+    }
+
     /**
      * Processes and filters device data.
      * @param {Array<Object>} devices - Raw device data
@@ -136,7 +622,6 @@ class NinjaService {
 
     /**
      * Creates a standardized device details object.
-     * @private
      * @param {Object} device - Raw device data
      * @returns {Object} Standardized device details
      */
@@ -150,6 +635,84 @@ class NinjaService {
         }
     }
 
+    /**
+     * Resolves the organization and location a device belongs to.
+     * @private
+     * @param {Object} device - Raw device data
+     * @returns {Object} Organization and location IDs and names (names are undefined if unknown)
+     */
+    createOrganizationDetails(device) {
+        return {
+            organizationId: device.organizationId,
+            organizationName: this.organizationsById.get(device.organizationId)?.name,
+            locationId: device.locationId,
+            locationName: this.locationsById.get(device.locationId)?.name
+        };
+    }
+
+    /**
+     * Extracts operating system, user, network and online state details shared by all device types.
+     * @private
+     * @param {Object} device - Raw device data
+     * @returns {Object} Inventory details
+     */
+    createInventoryDetails(device) {
+        return {
+            os: {
+                name: device.os?.name,
+                manufacturer: device.os?.manufacturer,
+                buildNumber: device.os?.buildNumber
+            },
+            lastLoggedInUser: device.lastLoggedInUser,
+            ipAddresses: device.ipAddresses || [],
+            macAddresses: device.macAddresses || [],
+            publicIP: device.publicIP,
+            offline: Boolean(device.offline),
+            // Ninja reports epoch seconds
+            lastContact: device.lastContact ? new Date(device.lastContact * 1000).toISOString() : undefined,
+            maintenance: device.maintenance?.status === 'IN_MAINTENANCE',
+            ...(this.customFields.length > 0 && { customFields: this.customFieldsByDevice.get(device.id) || {} }),
+            ...(this.storage && {
+                disks: (this.disksByDevice.get(device.id) || []).map(disk => this.createDiskDetails(disk)),
+                volumes: (this.volumesByDevice.get(device.id) || []).map(volume => this.createVolumeDetails(volume))
+            })
+        };
+    }
+
+    /**
+     * Extracts the details of a physical disk.
+     * @private
+     * @param {Object} disk - Raw disk data
+     * @returns {Object} Disk model, manufacturer, serial number, size in bytes, interface and media type
+     */
+    createDiskDetails(disk) {
+        return {
+            model: disk.model?.trim() || undefined,
+            manufacturer: disk.manufacturer?.trim() || undefined,
+            // Disk serials are often padded with spaces
+            serialNumber: disk.serialNumber?.trim() || undefined,
+            size: disk.size,
+            interfaceType: disk.interfaceType,
+            mediaType: disk.mediaType
+        };
+    }
+
+    /**
+     * Extracts the details of a volume. Free space is left out, as it changes on every check-in.
+     * @private
+     * @param {Object} volume - Raw volume data
+     * @returns {Object} Volume name, drive letter, label, file system and capacity in bytes
+     */
+    createVolumeDetails(volume) {
+        return {
+            name: volume.name,
+            driveLetter: volume.driveLetter,
+            label: volume.label,
+            fileSystem: volume.fileSystem,
+            capacity: volume.capacity
+        };
+    }
+
     /**
      * Creates device details for devices with missing system information.
      * @private
@@ -161,6 +724,8 @@ class NinjaService {
             id: device.id,
             systemName: device.systemName,
             nodeClass: device.nodeClass,
+            ...this.createOrganizationDetails(device),
+            ...this.createInventoryDetails(device),
             system: {
                 name: device.systemName || 'Unknown',
                 manufacturer: 'Unknown',
@@ -188,6 +753,8 @@ class NinjaService {
             id: device.id,
             systemName: device.systemName,
             nodeClass: device.nodeClass,
+            ...this.createOrganizationDetails(device),
+            ...this.createInventoryDetails(device),
             system: {
                 name: device.name || 'Unknown',
                 manufacturer: device.vendor || 'Unknown',
@@ -215,6 +782,8 @@ class NinjaService {
             id: device.id,
             systemName: device.systemName,
             nodeClass: device.nodeClass,
+            ...this.createOrganizationDetails(device),
+            ...this.createInventoryDetails(device),
             system: {
                 name: device.system.name,
                 manufacturer: device.system.manufacturer,
@@ -232,4 +801,21 @@ class NinjaService {
     }
 }
 
+/**
+ * Groups query rows by the device they belong to.
+ * @private
+ * @param {Array<Object>} rows - Query rows with a deviceId
+ * @returns {Map} Rows keyed by device ID
+ */
+function groupByDevice(rows) {
+    const groups = new Map();
+    rows.forEach(row => {
+        if (!groups.has(row.deviceId)) {
+            groups.set(row.deviceId, []);
+        }
+        groups.get(row.deviceId).push(row);
+    });
+    return groups;
+}
+
 module.exports = NinjaService; 
\ No newline at end of file
@@ -2,9 +2,43 @@
  * @fileoverview Service layer for interacting with Snipe-IT API.
  * @module SnipeService
  * @requires axios
+ * @requires crypto
+ * @requires ../rules/categoryRules
+ * @requires ../rules/customFieldMap
+ * @requires ../rules/checkoutRules
+ * @requires ../rules/organizationMap
+ * @requires ../rules/placeholderSerials
+ * @requires ../rules/nameNormalizer
+ * @requires ../rules/statusRules
+ * @requires ../rules/assetTagPolicy
+ * @requires ../rules/fieldOwnership
+ * @requires ../rules/ninjaFieldMap
+ * @requires ../utils/retryPolicy
+ * @requires ../utils/fingerprint
+ * @requires ../utils/numbers
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
+const CategoryRules = require('../rules/categoryRules');
+const CustomFieldMap = require('../rules/customFieldMap');
+const CheckoutRules = require('../rules/checkoutRules');
+const OrganizationMap = require('../rules/organizationMap');
+const { loadPlaceholderSerials, isUsableSerial } = require('../rules/placeholderSerials');
+const NameNormalizer = require('../rules/nameNormalizer');
+const StatusRules = require('../rules/statusRules');
+const AssetTagPolicy = require('../rules/assetTagPolicy');
+const FieldOwnership = require('../rules/fieldOwnership');
+const NinjaFieldMap = require('../rules/ninjaFieldMap');
+const RetryPolicy = require('../utils/retryPolicy');
+const { fingerprint } = require('../utils/fingerprint');
+const { parseFormattedNumber } = require('../utils/numbers');
+
+/**
+ * Note attached to every record created by the sync; also used to recognise synced assets.
+ * @private
+ */
+const SYNC_NOTE = 'Created automatically from Ninja RMM sync';
 
 /**
  * Class representing a Snipe-IT service.
@@ -15,9 +49,24 @@ class SnipeService {
      * Create a SnipeService instance.
      * @param {string} baseURL - The base URL for the Snipe-IT API
      * @param {string} apiKey - API key for authentication
+     * @param {Object} [options={}] - Sync options
+     * @param {boolean} [options.dryRun=false] - Record intended changes instead of sending them
+     * @param {CategoryRules} [options.categoryRules] - Category mapping rules (defaults to SnipeCategoryRules)
+     * @param {CustomFieldMap} [options.customFieldMap] - Custom field mapping (defaults to SnipeCustomFieldMap)
+     * @param {FileStateStore|TableStateStore} [options.stateStore] - State carried between runs (required for retirement and delta sync)
+     * @param {CheckoutRules} [options.checkoutRules] - User checkout rules (defaults to SnipeCheckoutRules)
+     * @param {OrganizationMap} [options.organizationMap] - Company/location mapping (defaults to SnipeOrganizationMap)
+     * @param {StatusRules} [options.statusRules] - Status label rules (defaults to SnipeStatusRules)
+     * @param {AssetTagPolicy} [options.assetTagPolicy] - Tag policy for new assets (defaults to SnipeAssetTagPolicy)
+     * @param {NinjaFieldMap} [options.ninjaFieldMap] - Ninja custom field to asset field mapping (defaults to SnipeNinjaFieldMap)
+     * @param {FieldOwnership} [options.fieldOwnership] - Whether Ninja or Snipe-IT owns each asset field (defaults to SnipeFieldOwnership)
+     * @param {RetryPolicy} [options.retryPolicy] - Retry policy for API requests (defaults to the Http* settings)
+     * @param {boolean} [options.deltaSync] - Skip devices unchanged since their last sync (defaults to SyncDeltaEnabled)
+     * @param {boolean} [options.syncComponents] - Keep disks as components of their assets (defaults to SnipeSyncComponents)
+     * @param {NameNormalizer} [options.nameNormalizer] - Manufacturer/model name aliases (defaults to SnipeNameAliases)
      * @throws {Error} If baseURL or apiKey is not provided
      */
-    constructor(baseURL, apiKey) {
+    constructor(baseURL, apiKey, options = {}) {
         if (!baseURL) {
             throw new Error('SnipeBaseURL is required but was not provided');
         }
@@ -25,13 +74,18 @@ class SnipeService {
             throw new Error('SnipeAPIKey is required but was not provided');
         }
 
-        console.log('Initializing SnipeService with base URL:', baseURL);
-        
         // Remove trailing slash if it exists
         const normalizedBaseURL = baseURL.endsWith('/') ? baseURL.slice(0, -1) : baseURL;
+
+        // Web UI base URL, used to link to asset pages
+        this.webBaseURL = (process.env.SnipeWebURL || normalizedBaseURL.replace(/\/api\/v\d+$/, '')).replace(/\/$/, '');
         
+        // Retries and per-request timeouts
+        this.retryPolicy = options.retryPolicy || RetryPolicy.fromEnvironment();
+
         this.client = axios.create({
             baseURL: normalizedBaseURL,
+            timeout: this.retryPolicy.timeoutMs,
             headers: {
                 'Authorization': `Bearer ${apiKey}`,
                 'Accept': 'application/json',
@@ -41,42 +95,214 @@ class SnipeService {
         this.modelCache = new Map();
         this.manufacturerCache = new Map();
         this.categoryCache = new Map();
+
+        // Manufacturer and model indexes of the last bulk load, reused by device lookups
+        this.referenceData = null;
         
         // Rate limiting settings
         this.requestDelay = 1000; // 1 second between requests
         this.lastRequestTime = 0;
+
+        // Pagination settings for list endpoints
+        this.pageSize = parseInt(process.env.SnipePageSize, 10) || 500;
+
+        // Dry-run settings: writes are recorded in a plan instead of being sent
+        this.dryRun = Boolean(options.dryRun);
+        this.plannedIdCounter = 0;
+        this.currentChanges = null;
+
+        // Names of records created during this run, for the sync report
+        this.createdRecords = { manufacturers: [], models: [], categories: [] };
+
+        // Rules mapping devices to asset category names. Categories belong to the shared model, so
+        // each model gets the category most of its devices resolve to (see planModelCategories)
+        this.categoryRules = options.categoryRules || CategoryRules.fromEnvironment();
+        this.modelCategories = new Map();
+        this.categoryConflicts = [];
+        this.recategorizeModels = true;
+
+        // Mapping of device properties to Snipe-IT custom fields
+        this.customFieldMap = options.customFieldMap || CustomFieldMap.fromEnvironment();
+
+        // Mapping of Ninja device custom fields to standard and custom asset fields
+        this.ninjaFieldMap = options.ninjaFieldMap || NinjaFieldMap.fromEnvironment();
+
+        // Rules mapping device state to asset status label names; the labels are checked once per instance
+        this.statusRules = options.statusRules || StatusRules.fromEnvironment();
+        this.statusLabelsChecked = false;
+        this.manageStatus = true;
+
+        // Status labels by lower-cased name, shared by the status rules and retirement
+        this.statusLabelCache = new Map();
+
+        // Retirement of assets whose devices disappeared from Ninja
+        this.stateStore = options.stateStore || null;
+        this.retireStatusLabel = process.env.SnipeRetireStatusLabel || null;
+        this.retireGraceRuns = parseInt(process.env.SnipeRetireGraceRuns, 10) || 3;
+
+        // Checkout of assets to the device's last logged-in user
+        this.checkoutRules = options.checkoutRules || CheckoutRules.fromEnvironment();
+        this.userCache = new Map();
+        this.usersLoaded = false;
+
+        // Assignment of assets to companies and locations from Ninja organizations
+        this.organizationMap = options.organizationMap || OrganizationMap.fromEnvironment();
+        this.companyCache = new Map();
+        this.locationCache = new Map();
+
+        // Asset matching: Ninja device ID custom field first, then serial number
+        this.ninjaIdField = process.env.SnipeNinjaIdField || null;
+        this.placeholderSerials = loadPlaceholderSerials();
+
+        // Which asset fields updates may overwrite; values written are kept in the "assetFields" state
+        // and Snipe-IT edits kept on a conflict in the "keptFields" state
+        this.fieldOwnership = options.fieldOwnership || FieldOwnership.fromEnvironment();
+
+        // Disks checked out to their assets as components; assignments made are kept in the "components" state
+        this.syncComponents = options.syncComponents ?? process.env.SnipeSyncComponents === 'true';
+        this.componentCategoryName = process.env.SnipeComponentCategory || 'Storage Drive';
+        this.componentsBySerial = new Map();
+
+        // Asset tags for new assets; tags in use are loaded with the assets so collisions are caught before create
+        this.assetTagPolicy = options.assetTagPolicy || AssetTagPolicy.fromEnvironment();
+        this.assetTags = new Set();
+
+        // Canonical manufacturer and model names, applied before any lookup or create
+        this.nameNormalizer = options.nameNormalizer || NameNormalizer.fromEnvironment();
+
+        // Delta sync: devices whose fingerprint matches their last successful sync are skipped.
+        // The configuration is part of every fingerprint, so changing the rules re-syncs all devices.
+        this.deltaSync = options.deltaSync ?? process.env.SyncDeltaEnabled === 'true';
+        this.configFingerprint = fingerprint({
+            categoryRules: this.categoryRules,
+            customFieldMap: this.customFieldMap,
+            ninjaFieldMap: this.ninjaFieldMap,
+            checkoutRules: this.checkoutRules,
+            organizationMap: this.organizationMap,
+            statusRules: this.statusRules,
+            fieldOwnership: this.fieldOwnership,
+            syncComponents: this.syncComponents,
+            componentCategoryName: this.componentCategoryName,
+            nameNormalizer: this.nameNormalizer,
+            ninjaIdField: this.ninjaIdField,
+            placeholderSerials: [...this.placeholderSerials].sort(),
+            webBaseURL: this.webBaseURL
+        });
     }
 
     /**
      * Makes a rate-limited request to the Snipe-IT API.
+     * Every attempt waits for the request delay; failures are retried according to the retry policy.
      * @private
      * @param {Function} requestFn - Function that returns a promise for the API request
      * @param {Object} context - Azure Function context for logging
+     * @param {Object} [options={}] - Retry options (see RetryPolicy#execute)
      * @returns {Promise<Object>} Response from the API
      * @throws {Error} If the request fails
      */
-    async rateLimitedRequest(requestFn, context) {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        
-        if (timeSinceLastRequest < this.requestDelay) {
-            const delayNeeded = this.requestDelay - timeSinceLastRequest;
-            context.log(`Rate limiting: waiting ${delayNeeded}ms before next request`);
-            await new Promise(resolve => setTimeout(resolve, delayNeeded));
-        }
+    async rateLimitedRequest(requestFn, context, options = {}) {
+        return await this.retryPolicy.execute(async () => {
+            const now = Date.now();
+            const timeSinceLastRequest = now - this.lastRequestTime;
+            
+            if (timeSinceLastRequest < this.requestDelay) {
+                const delayNeeded = this.requestDelay - timeSinceLastRequest;
+                context.log(`Rate limiting: waiting ${delayNeeded}ms before next request`);
+                await new Promise(resolve => setTimeout(resolve, delayNeeded));
+            }
 
-        try {
-            const result = await requestFn();
-            this.lastRequestTime = Date.now();
-            return result;
-        } catch (error) {
-            if (error.response?.status === 429) {
-                context.log('Rate limit hit, waiting before retry...');
-                await new Promise(resolve => setTimeout(resolve, this.requestDelay * 2));
+            try {
                 return await requestFn();
+            } finally {
+                this.lastRequestTime = Date.now();
+            }
+        }, context, { description: 'Snipe-IT request', ...options });
+    }
+
+    /**
+     * Sends a write (POST/PUT/PATCH) request to Snipe-IT, or records it when in dry-run mode.
+     * Every write is appended to the change list of the device currently being synced.
+     * @private
+     * @param {string} method - HTTP method ('post', 'put' or 'patch')
+     * @param {string} endpoint - Endpoint path (e.g. 'hardware/12')
+     * @param {Object} data - Request body
+     * @param {Object} context - Azure Function context for logging
+     * @param {Object} [details={}] - Plan details
+     * @param {Object} [details.before] - Values before the change (updates only)
+     * @param {Object} [details.simulated] - Object to return in place of the API payload in dry-run mode
+     * @returns {Promise<Object>} Response from the API, or a simulated response in dry-run mode
+     * @throws {Error} If the request fails
+     */
+    async writeRequest(method, endpoint, data, context, details = {}) {
+        const change = {
+            method: method.toUpperCase(),
+            endpoint,
+            resource: endpoint.split('/')[0],
+            before: details.before || null,
+            after: data
+        };
+
+        if (this.currentChanges) {
+            this.currentChanges.push(change);
+        }
+
+        if (this.dryRun) {
+            context.log(`[dry-run] ${change.method} ${endpoint}:`, JSON.stringify(data));
+            const payload = details.simulated || {
+                id: `planned-${++this.plannedIdCounter}`,
+                ...data
+            };
+            return { data: { status: 'success', payload } };
+        }
+
+        return await this.rateLimitedRequest(
+            () => this.client[method](endpoint, data),
+            context,
+            { description: `${change.method} ${endpoint}`, idempotent: method !== 'post' }
+        );
+    }
+
+    /**
+     * Retrieves every row from a paginated Snipe-IT list endpoint.
+     * Pages through the endpoint using limit/offset until the reported total is reached.
+     * @param {string} endpoint - List endpoint path (e.g. 'hardware')
+     * @param {Object} context - Azure Function context for logging
+     * @param {Object} [params={}] - Additional query parameters
+     * @returns {Promise<Array>} All rows returned by the endpoint
+     * @throws {Error} If any page request fails
+     */
+    async getAllPages(endpoint, context, params = {}) {
+        const rows = [];
+        let offset = 0;
+        let total = Infinity;
+
+        while (offset < total) {
+            const response = await this.rateLimitedRequest(
+                () => this.client.get(endpoint, {
+                    params: { ...params, limit: this.pageSize, offset }
+                }),
+                context,
+                { description: `GET ${endpoint} (offset ${offset})` }
+            );
+
+            if (response.data.status === 'error') {
+                throw new Error(`Failed to fetch ${endpoint}. Response: ${JSON.stringify(response.data)}`);
+            }
+
+            const pageRows = response.data.rows || [];
+            total = Number.isInteger(response.data.total) ? response.data.total : rows.length + pageRows.length;
+            rows.push(...pageRows);
+            offset += pageRows.length;
+
+            context.log(`Fetched ${rows.length}/${total} rows from ${endpoint}`);
+
+            // Guard against endpoints that report a larger total than they return
+            if (pageRows.length === 0) {
+                break;
             }
-            throw error;
         }
+
+        return rows;
     }
 
     /**
@@ -90,12 +316,7 @@ class SnipeService {
             const fullUrl = `${this.client.defaults.baseURL}/manufacturers`;
             context.log('Fetching manufacturers from URL:', fullUrl);
             
-            const response = await this.rateLimitedRequest(
-                () => this.client.get('manufacturers'),
-                context
-            );
-            
-            const manufacturers = response.data.rows;
+            const manufacturers = await this.getAllPages('manufacturers', context);
             this.manufacturerCache.clear();
             manufacturers.forEach(manufacturer => {
                 this.manufacturerCache.set(manufacturer.name.toLowerCase(), manufacturer);
@@ -124,16 +345,14 @@ class SnipeService {
                 support_url: '',
                 support_phone: '',
                 support_email: '',
-                notes: 'Created automatically from Ninja RMM sync'
+                notes: SYNC_NOTE
             };
 
-            const response = await this.rateLimitedRequest(
-                () => this.client.post('manufacturers', manufacturerData),
-                context
-            );
+            const response = await this.writeRequest('post', 'manufacturers', manufacturerData, context);
             
-            const newManufacturer = response.data;
+            const newManufacturer = response.data.payload || response.data;
             this.manufacturerCache.set(manufacturerName.toLowerCase(), newManufacturer);
+            this.createdRecords.manufacturers.push(manufacturerName);
             
             context.log(`Created new manufacturer in Snipe-IT: ${manufacturerName}`);
             return newManufacturer;
@@ -178,12 +397,7 @@ class SnipeService {
      */
     async getModels(context) {
         try {
-            const response = await this.rateLimitedRequest(
-                () => this.client.get('models'),
-                context
-            );
-            
-            const models = response.data.rows;
+            const models = await this.getAllPages('models', context);
             this.modelCache.clear();
             models.forEach(model => {
                 this.modelCache.set(model.name.toLowerCase(), model);
@@ -205,12 +419,7 @@ class SnipeService {
      */
     async getCategories(context) {
         try {
-            const response = await this.rateLimitedRequest(
-                () => this.client.get('categories'),
-                context
-            );
-            
-            const categories = response.data.rows;
+            const categories = await this.getAllPages('categories', context);
             this.categoryCache.clear();
             categories.forEach(category => {
                 this.categoryCache.set(category.name.toLowerCase(), category);
@@ -228,28 +437,26 @@ class SnipeService {
      * Creates a new category in Snipe-IT.
      * @param {string} categoryName - Name of the category to create
      * @param {Object} context - Azure Function context for logging
+     * @param {string} [categoryType='asset'] - Kind of record the category holds ('asset' or 'component')
      * @returns {Promise<Object>} Created category object
      * @throws {Error} If category creation fails
      */
-    async createCategory(categoryName, context) {
+    async createCategory(categoryName, context, categoryType = 'asset') {
         try {
             const categoryData = {
                 name: categoryName,
-                category_type: 'asset',
-                type: 'asset',
+                category_type: categoryType,
+                type: categoryType,
                 use_default_eula: 0,
                 require_acceptance: 0,
                 checkin_email: 0,
                 eula_text: null,
-                notes: 'Created automatically from Ninja RMM sync'
+                notes: SYNC_NOTE
             };
 
             context.log('Creating category with data:', JSON.stringify(categoryData));
 
-            const response = await this.rateLimitedRequest(
-                () => this.client.post('categories', categoryData),
-                context
-            );
+            const response = await this.writeRequest('post', 'categories', categoryData, context);
             
             if (response.data.status === 'error') {
                 throw new Error(`Failed to create category ${categoryName}. Response: ${JSON.stringify(response.data)}`);
@@ -257,45 +464,299 @@ class SnipeService {
 
             const newCategory = response.data.payload || response.data;
             this.categoryCache.set(newCategory.name.toLowerCase(), newCategory);
+            this.createdRecords.categories.push(newCategory.name);
             
-            context.log(`Created new asset category: ${newCategory.name} with ID: ${newCategory.id}`);
+            context.log(`Created new ${categoryType} category: ${newCategory.name} with ID: ${newCategory.id}`);
             return newCategory;
         } catch (error) {
-            context.error('Error creating asset category:', error.response?.data || error.message);
+            context.error(`Error creating ${categoryType} category:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves all status labels from Snipe-IT and updates the cache.
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array>} Array of status label objects
+     * @throws {Error} If the API request fails
+     */
+    async getStatusLabels(context) {
+        try {
+            const statusLabels = await this.getAllPages('statuslabels', context);
+            this.statusLabelCache.clear();
+            statusLabels.forEach(statusLabel => {
+                this.statusLabelCache.set(statusLabel.name.toLowerCase(), statusLabel);
+            });
+
+            context.log(`Retrieved ${statusLabels.length} status labels from Snipe-IT`);
+            return statusLabels;
+        } catch (error) {
+            context.error('Error fetching status labels from Snipe-IT:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Gets a status label by name. Status labels are never created by the sync,
+     * since their deployable/pending/archived type has to be chosen by an administrator.
+     * @param {string} statusLabelName - Name of the status label
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Status label object
+     * @throws {Error} If no status label with that name exists
+     */
+    async getStatusLabelByName(statusLabelName, context) {
+        let statusLabel = this.statusLabelCache.get(statusLabelName.toLowerCase());
+        if (!statusLabel) {
+            await this.getStatusLabels(context);
+            statusLabel = this.statusLabelCache.get(statusLabelName.toLowerCase());
+        }
+
+        if (!statusLabel) {
+            throw new Error(`Status label "${statusLabelName}" does not exist in Snipe-IT`);
+        }
+        return statusLabel;
+    }
+
+    /**
+     * Checks once that the status labels the status rules assign exist, so a missing label fails
+     * the run with one error instead of failing every device. When the built-in rules name labels
+     * the instance lacks, status labels are not synced: new assets get status label ID 1 and
+     * existing assets keep theirs.
+     * @private
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     * @throws {Error} If configured status labels do not exist, or the API request fails
+     */
+    async validateStatusLabels(context) {
+        if (this.statusLabelsChecked) {
+            return;
+        }
+
+        await this.getStatusLabels(context);
+        const missing = this.statusRules.statuses.filter(name => !this.statusLabelCache.has(name.toLowerCase()));
+        if (missing.length > 0) {
+            const names = missing.map(name => `"${name}"`).join(', ');
+            if (!this.statusRules.usesDefaults) {
+                throw new Error(`Status labels ${names} do not exist in Snipe-IT. Create them or change SnipeStatusRules/SnipeDefaultStatus`);
+            }
+            context.log(`Default status labels ${names} do not exist in Snipe-IT, leaving asset status labels unchanged. ` +
+                'Create them or set SnipeStatusRules to sync status labels');
+            this.manageStatus = false;
+        }
+        this.statusLabelsChecked = true;
+    }
+
+    /**
+     * Retrieves all users from Snipe-IT and updates the cache.
+     * Users are cached by username, then by email address and email local part where those are unambiguous.
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array>} Array of user objects
+     * @throws {Error} If the API request fails
+     */
+    async getUsers(context) {
+        try {
+            const users = await this.getAllPages('users', context);
+            this.userCache.clear();
+
+            const addKey = (key, user) => {
+                if (key && !this.userCache.has(key.toLowerCase())) {
+                    this.userCache.set(key.toLowerCase(), user);
+                }
+            };
+            users.forEach(user => addKey(user.username, user));
+            users.forEach(user => addKey(user.email, user));
+            users.forEach(user => addKey(user.email?.split('@')[0], user));
+
+            this.usersLoaded = true;
+            context.log(`Retrieved ${users.length} users from Snipe-IT`);
+            return users;
+        } catch (error) {
+            context.error('Error fetching users from Snipe-IT:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Creates a new user in Snipe-IT. The user gets a random password and cannot log in
+     * until an administrator activates the account.
+     * @param {string} username - Username to create
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Created user object
+     * @throws {Error} If user creation fails
+     */
+    async createUser(username, context) {
+        try {
+            const password = crypto.randomBytes(24).toString('base64');
+            const userData = {
+                first_name: username,
+                username,
+                password,
+                password_confirmation: password,
+                activated: false,
+                notes: SYNC_NOTE
+            };
+
+            const response = await this.writeRequest('post', 'users', userData, context, {
+                simulated: { id: `planned-${++this.plannedIdCounter}`, first_name: username, username }
+            });
+
+            if (response.data.status === 'error') {
+                throw new Error(`Failed to create user ${username}. Response: ${JSON.stringify(response.data)}`);
+            }
+
+            const newUser = response.data.payload || response.data;
+            this.userCache.set(username.toLowerCase(), newUser);
+
+            context.log(`Created new user in Snipe-IT: ${username}`);
+            return newUser;
+        } catch (error) {
+            context.error(`Error creating user ${username}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves all companies from Snipe-IT and updates the cache.
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array>} Array of company objects
+     * @throws {Error} If the API request fails
+     */
+    async getCompanies(context) {
+        try {
+            const companies = await this.getAllPages('companies', context);
+            this.companyCache.clear();
+            companies.forEach(company => {
+                this.companyCache.set(company.name.toLowerCase(), company);
+            });
+
+            context.log(`Retrieved ${companies.length} companies from Snipe-IT`);
+            return companies;
+        } catch (error) {
+            context.error('Error fetching companies from Snipe-IT:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Gets or creates a company in Snipe-IT.
+     * @param {string} companyName - Name of the company
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Company object
+     * @throws {Error} If company creation fails
+     */
+    async getOrCreateCompany(companyName, context) {
+        const cachedCompany = this.companyCache.get(companyName.toLowerCase());
+        if (cachedCompany) {
+            return cachedCompany;
+        }
+
+        try {
+            const response = await this.writeRequest('post', 'companies', { name: companyName }, context);
+            if (response.data.status === 'error') {
+                throw new Error(`Failed to create company ${companyName}. Response: ${JSON.stringify(response.data)}`);
+            }
+
+            const newCompany = response.data.payload || response.data;
+            this.companyCache.set(companyName.toLowerCase(), newCompany);
+
+            context.log(`Created new company in Snipe-IT: ${companyName}`);
+            return newCompany;
+        } catch (error) {
+            context.error(`Error creating company ${companyName}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves all locations from Snipe-IT and updates the cache.
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array>} Array of location objects
+     * @throws {Error} If the API request fails
+     */
+    async getLocations(context) {
+        try {
+            const locations = await this.getAllPages('locations', context);
+            this.locationCache.clear();
+            locations.forEach(location => {
+                this.locationCache.set(location.name.toLowerCase(), location);
+            });
+
+            context.log(`Retrieved ${locations.length} locations from Snipe-IT`);
+            return locations;
+        } catch (error) {
+            context.error('Error fetching locations from Snipe-IT:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Gets or creates a location in Snipe-IT.
+     * @param {string} locationName - Name of the location
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Location object
+     * @throws {Error} If location creation fails
+     */
+    async getOrCreateLocation(locationName, context) {
+        const cachedLocation = this.locationCache.get(locationName.toLowerCase());
+        if (cachedLocation) {
+            return cachedLocation;
+        }
+
+        try {
+            const response = await this.writeRequest('post', 'locations', { name: locationName }, context);
+            if (response.data.status === 'error') {
+                throw new Error(`Failed to create location ${locationName}. Response: ${JSON.stringify(response.data)}`);
+            }
+
+            const newLocation = response.data.payload || response.data;
+            this.locationCache.set(locationName.toLowerCase(), newLocation);
+
+            context.log(`Created new location in Snipe-IT: ${locationName}`);
+            return newLocation;
+        } catch (error) {
+            context.error(`Error creating location ${locationName}:`, error.response?.data || error.message);
             throw error;
         }
     }
 
     /**
-     * Gets or creates an asset category based on the device's nodeClass.
-     * @param {string} nodeClass - Node class from Ninja RMM
+     * Resolves the company and location fields for a device, creating missing records.
+     * Only fields enabled in the organization map are returned.
+     * @private
+     * @param {Object} device - Device object from Ninja RMM
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} company_id, location_id and rtd_location_id where applicable
+     */
+    async resolvePlacement(device, context) {
+        const placement = {};
+
+        const companyName = this.organizationMap.resolveCompanyName(device);
+        if (companyName) {
+            placement.company_id = (await this.getOrCreateCompany(companyName, context)).id;
+        }
+
+        const locationName = this.organizationMap.resolveLocationName(device);
+        if (locationName) {
+            const location = await this.getOrCreateLocation(locationName, context);
+            placement.location_id = location.id;
+            placement.rtd_location_id = location.id;
+        }
+
+        return placement;
+    }
+
+    /**
+     * Gets or creates an asset category for a device using the category rules.
+     * @param {Object} device - Device object from Ninja RMM
      * @param {Object} context - Azure Function context for logging
      * @returns {Promise<Object>} Category object
      * @throws {Error} If category creation/retrieval fails
      */
-    async getOrCreateAssetCategory(nodeClass, context) {
+    async getOrCreateAssetCategory(device, context) {
         try {
-            // Debug log the incoming nodeClass
-            context.log(`Getting/Creating category for nodeClass: ${nodeClass}`);
-
-            // Map Ninja nodeClass to category name
-            let categoryName;
-            switch (nodeClass) {
-                case 'WINDOWS_SERVER':
-                    categoryName = 'Windows Servers';
-                    break;
-                case 'WINDOWS_WORKSTATION':
-                    categoryName = 'Windows Workstations';
-                    break;
-                case 'VMWARE_VM_HOST':
-                    categoryName = 'VMware Hosts';
-                    break;
-                default:
-                    context.log(`Unrecognized nodeClass: ${nodeClass}, defaulting to Other Hardware`);
-                    categoryName = 'Other Hardware';
-            }
-
-            context.log(`Mapped nodeClass ${nodeClass} to category ${categoryName}`);
+            const categoryName = this.getExpectedCategoryName(device);
+
+            context.log(`Mapped device ${device.systemName} (${device.nodeClass}) to category ${categoryName}`);
 
             // First check cache
             const cachedCategory = this.categoryCache.get(categoryName.toLowerCase());
@@ -327,21 +788,21 @@ class SnipeService {
      * Creates a new model in Snipe-IT.
      * @param {string} modelName - Name of the model
      * @param {number} manufacturer_id - ID of the manufacturer
-     * @param {string} nodeClass - Node class from Ninja RMM
+     * @param {Object} device - Device object from Ninja RMM
      * @param {Object} context - Azure Function context for logging
      * @returns {Promise<Object>} Created model object
      * @throws {Error} If model creation fails
      */
-    async createModel(modelName, manufacturer_id, nodeClass, context) {
+    async createModel(modelName, manufacturer_id, device, context) {
         try {
-            context.log(`Attempting to create model: ${modelName} for manufacturer_id: ${manufacturer_id}, nodeClass: ${nodeClass}`);
+            context.log(`Attempting to create model: ${modelName} for manufacturer_id: ${manufacturer_id}, nodeClass: ${device.nodeClass}`);
             
             if (!manufacturer_id) {
                 throw new Error(`Cannot create model ${modelName} without a valid manufacturer_id`);
             }
 
-            // Get or create an asset category based on nodeClass
-            const category = await this.getOrCreateAssetCategory(nodeClass, context);
+            // Get or create an asset category for the device
+            const category = await this.getOrCreateAssetCategory(device, context);
             if (!category || !category.id) {
                 throw new Error('Failed to get or create asset category');
             }
@@ -352,15 +813,19 @@ class SnipeService {
                 category_id: category.id,
                 model_number: modelName,
                 fieldset_id: null,
-                notes: 'Created automatically from Ninja RMM sync'
+                notes: SYNC_NOTE
             };
 
             context.log('Creating model with data:', JSON.stringify(modelData));
 
-            const response = await this.rateLimitedRequest(
-                () => this.client.post('models', modelData),
-                context
-            );
+            const response = await this.writeRequest('post', 'models', modelData, context, {
+                simulated: {
+                    id: `planned-${++this.plannedIdCounter}`,
+                    ...modelData,
+                    manufacturer: { id: manufacturer_id },
+                    category: { id: category.id, name: category.name }
+                }
+            });
             
             // Changed error handling - only throw if it's actually an error
             if (response.data.status === 'error') {
@@ -369,6 +834,7 @@ class SnipeService {
 
             const newModel = response.data.payload || response.data;
             this.modelCache.set(modelName.toLowerCase(), newModel);
+            this.createdRecords.models.push(modelName);
             
             context.log(`Successfully created new model in Snipe-IT: ${modelName} with ID: ${newModel.id}`);
             return newModel;
@@ -382,21 +848,21 @@ class SnipeService {
      * Gets or creates a model in Snipe-IT.
      * @param {string} modelName - Name of the model
      * @param {number} manufacturer_id - ID of the manufacturer
-     * @param {string} nodeClass - Node class from Ninja RMM
+     * @param {Object} device - Device object from Ninja RMM
      * @param {Object} context - Azure Function context for logging
      * @returns {Promise<Object>} Model object
      * @throws {Error} If model creation/retrieval fails
      */
-    async getOrCreateModel(modelName, manufacturer_id, nodeClass, context) {
+    async getOrCreateModel(modelName, manufacturer_id, device, context) {
         if (!modelName) {
             modelName = 'Unknown Model';
         }
 
-        context.log(`Looking up model: ${modelName} for nodeClass: ${nodeClass}`);
+        context.log(`Looking up model: ${modelName} for nodeClass: ${device.nodeClass}`);
 
         try {
-            // Get the appropriate category for this nodeClass
-            const expectedCategory = await this.getOrCreateAssetCategory(nodeClass, context);
+            // Get the appropriate category for this device
+            const expectedCategory = await this.getOrCreateAssetCategory(device, context);
             
             // First try to find by exact name
             const response = await this.rateLimitedRequest(
@@ -425,10 +891,15 @@ class SnipeService {
                         model_number: modelName
                     };
 
-                    const updateResponse = await this.rateLimitedRequest(
-                        () => this.client.put(`models/${existingModel.id}`, updateData),
-                        context
-                    );
+                    const updateResponse = await this.writeRequest('put', `models/${existingModel.id}`, updateData, context, {
+                        before: this.describeModelFields(existingModel),
+                        simulated: {
+                            ...existingModel,
+                            ...updateData,
+                            manufacturer: { id: manufacturer_id },
+                            category: expectedCategory
+                        }
+                    });
 
                     const updatedModel = updateResponse.data.payload || updateResponse.data;
                     this.modelCache.set(modelName.toLowerCase(), updatedModel);
@@ -441,7 +912,7 @@ class SnipeService {
 
             // If not found, create it
             context.log(`Model ${modelName} not found, creating new one...`);
-            return await this.createModel(modelName, manufacturer_id, nodeClass, context);
+            return await this.createModel(modelName, manufacturer_id, device, context);
         } catch (error) {
             context.error(`Failed to get/create model ${modelName}:`, error);
             throw error;
@@ -450,62 +921,106 @@ class SnipeService {
 
     /**
      * Synchronizes devices from Ninja RMM to Snipe-IT.
+     * In dry-run mode no writes are sent and each result carries the planned changes.
      * @param {Array<Object>} devices - Array of device objects from Ninja RMM
      * @param {Object} context - Azure Function context for logging
-     * @returns {Promise<void>}
+     * @param {Object} [options={}] - Sync options
+     * @param {boolean} [options.retire=true] - Retire missing assets; disable when devices is not the full
+     *   inventory, which also leaves the categories of existing models alone
+     * @param {boolean} [options.force=false] - Sync every device even when delta sync is enabled
+     * @returns {Promise<Array<Object>>} Per-device sync results (see syncDeviceWithCache),
+     *   followed by a result for each retired asset
      * @throws {Error} If synchronization fails
      */
-    async syncDevices(devices, context) {
+    async syncDevices(devices, context, options = {}) {
         try {
-            // First, get ALL existing data in bulk
-            context.log('Pre-loading all Snipe-IT data...');
-            
-            // Get all categories
-            const categories = await this.getCategories(context);
-            context.log(`Loaded ${categories.length} categories`);
-            
-            // Get all manufacturers
-            const manufacturers = await this.getManufacturers(context);
-            context.log(`Loaded ${manufacturers.length} manufacturers`);
-            
-            // Get all models
-            const models = await this.getModels(context);
-            context.log(`Loaded ${models.length} models`);
-            
-            // Get all assets in one call
-            const assets = await this.rateLimitedRequest(
-                () => this.client.get('hardware'),
-                context
-            );
-            const existingAssets = assets.data.rows;
+            devices = devices.map(device => this.nameNormalizer.normalizeDevice(device));
+            this.planModelCategories(devices, context);
+            this.recategorizeModels = options.retire !== false;
+
+            // With delta sync, only devices that changed since their last sync are processed
+            const delta = this.planDeltaSync(devices, options, context);
+            const pendingDevices = delta ? delta.changed : devices;
+            if (delta && pendingDevices.length === 0 && !delta.reconcile) {
+                context.log(`All ${devices.length} devices unchanged since their last sync, nothing to do`);
+                return delta.cached;
+            }
+
+            // First, get reference data in bulk; lookups reuse what an earlier call loaded
+            const { manufacturersByName, modelsByName } = options.lookup && this.referenceData
+                ? this.referenceData
+                : await this.loadReferenceData(context);
+
+            await this.validateStatusLabels(context);
+
+            // Get all assets, paging through the full inventory, or only those of these devices
+            const lookedUpAssets = options.lookup ? await this.lookupAssets(pendingDevices, context) : null;
+            const existingAssets = lookedUpAssets || await this.getAllPages('hardware', context);
             context.log(`Loaded ${existingAssets.length} assets`);
+            if (!lookedUpAssets) {
+                this.assetTags = new Set(
+                    existingAssets
+                        .filter(asset => asset.asset_tag)
+                        .map(asset => String(asset.asset_tag).trim().toLowerCase())
+                );
+                this.pruneWrittenFields(existingAssets);
+            }
+
+            // Get components when disks are synced, matched to disks by serial
+            if (this.syncComponents) {
+                await this.loadComponents(existingAssets, context, lookedUpAssets ? pendingDevices : null);
+            }
 
             // Create lookup maps for quick access
             const assetsBySerial = new Map(
-                existingAssets.map(asset => [asset.serial.toLowerCase(), asset])
-            );
-            const modelsByName = new Map(
-                models.map(model => [model.name.toLowerCase(), model])
+                existingAssets
+                    .filter(asset => this.isUsableSerial(asset.serial))
+                    .map(asset => [asset.serial.trim().toLowerCase(), asset])
             );
-            const manufacturersByName = new Map(
-                manufacturers.map(manufacturer => [manufacturer.name.toLowerCase(), manufacturer])
+            const assetsByNinjaId = new Map(
+                existingAssets
+                    .map(asset => [this.getNinjaId(asset), asset])
+                    .filter(([ninjaId]) => ninjaId)
             );
 
             // Then sync each device using the cached data
-            for (const device of devices) {
+            const results = delta ? [...delta.cached] : [];
+            for (const device of pendingDevices) {
                 try {
-                    await this.syncDeviceWithCache(
+                    results.push(await this.syncDeviceWithCache(
                         device, 
                         manufacturersByName,
                         modelsByName,
                         assetsBySerial,
+                        assetsByNinjaId,
                         context
-                    );
+                    ));
                 } catch (error) {
                     context.error(`Failed to sync device ${device.system.serialNumber}:`, error);
+                    results.push({
+                        ...this.describeDevice(device),
+                        action: 'failed',
+                        dryRun: this.dryRun,
+                        changes: error.changes || [],
+                        error: error.response?.data ? JSON.stringify(error.response.data) : error.message
+                    });
                 }
             }
-            context.log(`Completed Snipe-IT sync for ${devices.length} devices`);
+
+            this.recordFingerprints(pendingDevices, results, options, context);
+
+            // Retire synced assets whose devices are no longer in Ninja
+            if (options.retire !== false) {
+                results.push(...await this.retireMissingAssets(existingAssets, devices, results, context));
+            }
+
+            const unmatchedUsers = [...new Set(results.map(result => result.unmatchedUser).filter(Boolean))];
+            if (unmatchedUsers.length > 0) {
+                context.log(`Last logged-in users with no matching Snipe-IT user: ${unmatchedUsers.join(', ')}`);
+            }
+
+            context.log(`Completed Snipe-IT sync for ${devices.length} devices${this.dryRun ? ' (dry-run, no changes sent)' : ''}`);
+            return results;
         } catch (error) {
             context.error('Error during device sync:', error);
             throw error;
@@ -513,31 +1028,305 @@ class SnipeService {
     }
 
     /**
-     * Synchronizes a single device using cached data.
-     * @param {Object} device - Device object from Ninja RMM
-     * @param {Map} manufacturersByName - Cache of manufacturers
-     * @param {Map} modelsByName - Cache of models
-     * @param {Map} assetsBySerial - Cache of assets
+     * Loads categories, manufacturers, models and, when assets are assigned to them, companies and
+     * locations, and keeps the manufacturer and model indexes for later lookups.
+     * @private
      * @param {Object} context - Azure Function context for logging
-     * @returns {Promise<void>}
-     * @throws {Error} If device sync fails
+     * @returns {Promise<Object>} manufacturersByName and modelsByName, keyed by normalized name
+     * @throws {Error} If an API request fails
      */
-    async syncDeviceWithCache(device, manufacturersByName, modelsByName, assetsBySerial, context) {
-        try {
-            context.log(`Processing device with nodeClass: ${device.nodeClass}, systemName: ${device.systemName}, model: ${device.system.model}`);
+    async loadReferenceData(context) {
+        context.log('Pre-loading all Snipe-IT data...');
 
-            // Get or create manufacturer using cache
-            let manufacturer = manufacturersByName.get(device.system.manufacturer.toLowerCase());
-            if (!manufacturer) {
+        // Get all categories
+        const categories = await this.getCategories(context);
+        context.log(`Loaded ${categories.length} categories`);
+
+        // Get all manufacturers
+        const manufacturers = await this.getManufacturers(context);
+        context.log(`Loaded ${manufacturers.length} manufacturers`);
+
+        // Get all models
+        const models = await this.getModels(context);
+        context.log(`Loaded ${models.length} models`);
+
+        // Get companies and locations when devices are assigned to them
+        if (this.organizationMap.companies) {
+            await this.getCompanies(context);
+        }
+        if (this.organizationMap.locations) {
+            await this.getLocations(context);
+        }
+
+        // Keyed by normalized name, so existing records spelled differently are reused
+        this.referenceData = {
+            modelsByName: this.indexByName(
+                models,
+                model => this.nameNormalizer.getModelKey(model.name, model.manufacturer?.name),
+                model => this.nameNormalizer.normalizeModel(model.name, model.manufacturer?.name)
+            ),
+            manufacturersByName: this.indexByName(
+                manufacturers,
+                manufacturer => this.nameNormalizer.getManufacturerKey(manufacturer.name),
+                manufacturer => this.nameNormalizer.normalizeManufacturer(manufacturer.name)
+            )
+        };
+        return this.referenceData;
+    }
+
+    /**
+     * Decides the category of each model from the devices of that model. Categories are attached to
+     * the model, which every asset of the model shares, so the category most devices resolve to wins
+     * (the first device's on a tie) and models whose devices disagree are listed in categoryConflicts.
+     * @private
+     * @param {Array<Object>} devices - Devices of this run, normalized
+     * @param {Object} context - Azure Function context for logging
+     */
+    planModelCategories(devices, context) {
+        const byModel = new Map();
+        devices.forEach(device => {
+            const key = this.nameNormalizer.getModelKey(device.system.model, device.system.manufacturer);
+            if (!byModel.has(key)) {
+                byModel.set(key, { model: device.system.model, counts: new Map() });
+            }
+            const { counts } = byModel.get(key);
+            const category = this.categoryRules.resolve(device);
+            counts.set(category, (counts.get(category) || 0) + 1);
+        });
+
+        this.modelCategories = new Map();
+        this.categoryConflicts = [];
+        for (const [key, { model, counts }] of byModel) {
+            const [category] = [...counts].reduce((best, entry) => entry[1] > best[1] ? entry : best);
+            this.modelCategories.set(key, category);
+            if (counts.size > 1) {
+                const conflict = { model, category, deviceCategories: Object.fromEntries(counts) };
+                this.categoryConflicts.push(conflict);
+                context.log(`Devices of model ${model} match different categories ${JSON.stringify(conflict.deviceCategories)}, ` +
+                    `using ${category}`);
+            }
+        }
+    }
+
+    /**
+     * Looks up the assets of a few devices by Ninja device ID and serial number instead of loading
+     * every asset. New assets tagged by the asset tag policy need every tag in use, so when a device
+     * has no asset and the policy generates tags, null is returned and every asset must be loaded.
+     * @private
+     * @param {Array<Object>} devices - Devices to look up
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array<Object>|null>} Assets found, or null if every asset must be loaded
+     * @throws {Error} If an API request fails
+     */
+    async lookupAssets(devices, context) {
+        const assets = new Map();
+        for (const device of devices) {
+            const found = [
+                ...(this.ninjaIdField ? await this.findAssetsByNinjaId(device.id, context) : []),
+                ...(this.isUsableSerial(device.system.serialNumber)
+                    ? (await this.getAllPages('hardware', context, { search: device.system.serialNumber.trim() }))
+                        .filter(asset => this.isUsableSerial(asset.serial) &&
+                            asset.serial.trim().toLowerCase() === device.system.serialNumber.trim().toLowerCase())
+                    : [])
+            ];
+            if (found.length === 0 && this.assetTagPolicy.generatesTags) {
+                return null;
+            }
+            found.forEach(asset => assets.set(asset.id, asset));
+        }
+        return [...assets.values()];
+    }
+
+    /**
+     * Finds the assets carrying a Ninja device ID in the SnipeNinjaIdField custom field.
+     * @private
+     * @param {number|string} ninjaDeviceId - Ninja device ID
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array<Object>>} Matching assets
+     * @throws {Error} If the API request fails
+     */
+    async findAssetsByNinjaId(ninjaDeviceId, context) {
+        // Search matches custom field values too, but also partial matches elsewhere
+        const assets = await this.getAllPages('hardware', context, { search: String(ninjaDeviceId) });
+        return assets.filter(asset => this.getNinjaId(asset) === String(ninjaDeviceId));
+    }
+
+    /**
+     * Splits devices into those changed since their last successful sync and those that are not,
+     * by comparing each device's fingerprint with the one stored in the "fingerprints" state.
+     * @private
+     * @param {Array<Object>} devices - Devices to sync
+     * @param {Object} options - Sync options (see syncDevices)
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Object|null} Changed devices, results for the unchanged ones and whether Snipe-IT
+     *   still has to be loaded to track missing devices, or null if every device should be synced
+     */
+    planDeltaSync(devices, options, context) {
+        if (!this.deltaSync || options.force || !this.stateStore) {
+            return null;
+        }
+
+        const fingerprints = this.stateStore.get('fingerprints');
+        const changed = [];
+        const cached = [];
+        for (const device of devices) {
+            const entry = fingerprints[device.id];
+            if (!entry || entry.hash !== this.getDeviceFingerprint(device)) {
+                changed.push(device);
+                continue;
+            }
+
+            cached.push({
+                ...this.describeDevice(device),
+                assetId: entry.assetId,
+                assetTag: entry.assetTag,
+                action: entry.action === 'skipped' ? 'skipped' : 'unchanged',
+                ...(entry.reason && { reason: entry.reason }),
+                cached: true,
+                dryRun: this.dryRun,
+                changes: []
+            });
+        }
+
+        // Devices that disappeared, or assets awaiting retirement, need the full asset list
+        let reconcile = false;
+        if (options.retire !== false) {
+            const deviceIds = new Set(devices.map(device => String(device.id)));
+            reconcile = Object.keys(fingerprints).some(deviceId => !deviceIds.has(deviceId)) ||
+                Object.values(this.stateStore.get('retirement')).some(entry => entry.missedRuns > 0 && !entry.retired);
+        }
+
+        context.log(`Delta sync: ${changed.length} changed, ${cached.length} unchanged devices`);
+        return { changed, cached, reconcile };
+    }
+
+    /**
+     * Stores the fingerprint of every device synced successfully in this run, so the next
+     * delta sync can skip it while it stays unchanged. Failed devices lose their fingerprint
+     * so they are retried, and when the full inventory was synced, devices no longer in it are forgotten.
+     * Nothing is recorded in dry-run mode.
+     * @private
+     * @param {Array<Object>} devices - Devices synced in this run
+     * @param {Array<Object>} results - Per-device sync results of this run
+     * @param {Object} options - Sync options (see syncDevices)
+     * @param {Object} context - Azure Function context for logging
+     */
+    recordFingerprints(devices, results, options, context) {
+        if (!this.deltaSync || !this.stateStore || this.dryRun) {
+            return;
+        }
+
+        const fingerprints = this.stateStore.get('fingerprints');
+        const resultsByDevice = new Map(results.map(result => [String(result.deviceId), result]));
+        const syncedAt = new Date().toISOString();
+
+        for (const device of devices) {
+            const result = resultsByDevice.get(String(device.id));
+            if (!result || result.action === 'failed') {
+                delete fingerprints[device.id];
+                continue;
+            }
+
+            fingerprints[device.id] = {
+                hash: this.getDeviceFingerprint(device),
+                action: result.action,
+                assetId: result.assetId,
+                assetTag: result.assetTag,
+                ...(result.reason && { reason: result.reason }),
+                syncedAt
+            };
+        }
+
+        if (options.retire !== false) {
+            const deviceIds = new Set(results.map(result => String(result.deviceId)));
+            const forgotten = Object.keys(fingerprints).filter(deviceId => !deviceIds.has(deviceId));
+            forgotten.forEach(deviceId => delete fingerprints[deviceId]);
+            if (forgotten.length > 0) {
+                context.log(`Forgot fingerprints of ${forgotten.length} devices no longer in Ninja RMM`);
+            }
+        }
+    }
+
+    /**
+     * Computes the fingerprint of a device together with the sync configuration.
+     * The last contact time changes on every check-in, so only the status label it resolves to is included.
+     * @private
+     * @param {Object} device - Device object from Ninja RMM
+     * @returns {string} Device fingerprint
+     */
+    getDeviceFingerprint(device) {
+        const { lastContact, ...stableDevice } = device;
+        return fingerprint({
+            config: this.configFingerprint,
+            device: stableDevice,
+            status: this.statusRules.resolve(device)
+        });
+    }
+
+    /**
+     * Indexes records by a lookup key. When several records share a key, the one already
+     * named canonically is kept, otherwise the first.
+     * @private
+     * @param {Array<Object>} records - Records with a name
+     * @param {Function} getKey - Returns the lookup key of a record
+     * @param {Function} getCanonicalName - Returns the canonical name of a record
+     * @returns {Map} Records keyed by lookup key
+     */
+    indexByName(records, getKey, getCanonicalName) {
+        const index = new Map();
+        records.forEach(record => {
+            const key = getKey(record);
+            if (!index.has(key) || record.name === getCanonicalName(record)) {
+                index.set(key, record);
+            }
+        });
+        return index;
+    }
+
+    /**
+     * Synchronizes a single device using cached data.
+     * @param {Object} device - Device object from Ninja RMM
+     * @param {Map} manufacturersByName - Cache of manufacturers
+     * @param {Map} modelsByName - Cache of models
+     * @param {Map} assetsBySerial - Cache of assets keyed by lower-cased serial
+     * @param {Map} assetsByNinjaId - Cache of assets keyed by Ninja device ID
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Sync result with the device identity, the Snipe-IT asset ID,
+     *   the action taken ('created', 'updated', 'unchanged' or 'skipped') and the list of changes sent or planned
+     * @throws {Error} If device sync fails
+     */
+    async syncDeviceWithCache(device, manufacturersByName, modelsByName, assetsBySerial, assetsByNinjaId, context) {
+        const changes = [];
+        this.currentChanges = changes;
+
+        try {
+            context.log(`Processing device with nodeClass: ${device.nodeClass}, systemName: ${device.systemName}, model: ${device.system.model}`);
+
+            // Without a Ninja ID field a placeholder serial would match (or duplicate) unrelated assets
+            if (!this.ninjaIdField && !this.isUsableSerial(device.system.serialNumber)) {
+                context.log(`Skipping device ${device.systemName}: placeholder serial "${device.system.serialNumber}" and no SnipeNinjaIdField configured`);
+                return {
+                    ...this.describeDevice(device),
+                    action: 'skipped',
+                    reason: `Placeholder serial number "${device.system.serialNumber}"`,
+                    dryRun: this.dryRun,
+                    changes
+                };
+            }
+
+            // Get or create manufacturer using cache
+            const manufacturerKey = this.nameNormalizer.getManufacturerKey(device.system.manufacturer);
+            let manufacturer = manufacturersByName.get(manufacturerKey);
+            if (!manufacturer) {
                 manufacturer = await this.createManufacturer(device.system.manufacturer, context);
-                manufacturersByName.set(device.system.manufacturer.toLowerCase(), manufacturer);
+                manufacturersByName.set(manufacturerKey, manufacturer);
             }
 
             // Debug logging for manufacturer
             context.log(`Using manufacturer: ${JSON.stringify(manufacturer)}`);
 
             // Get or create model using cache - UPDATED LOGIC
-            const modelKey = device.system.model.toLowerCase();
+            const modelKey = this.nameNormalizer.getModelKey(device.system.model, device.system.manufacturer);
             let model = modelsByName.get(modelKey);
             
             // Debug logging for model
@@ -558,21 +1347,10 @@ class SnipeService {
 
                 // If model exists but needs updates
                 if (model.manufacturer.id !== manufacturer.id || 
-                    !this.isModelCategoryCorrect(model, device.nodeClass)) {
+                    !this.isModelCategoryCorrect(model, device)) {
                     
                     context.log(`Updating existing model ${model.name} with new category/manufacturer`);
-                    const updateData = {
-                        name: device.system.model,
-                        manufacturer_id: manufacturer.id,
-                        category_id: (await this.getOrCreateAssetCategory(device.nodeClass, context)).id,
-                        model_number: device.system.model
-                    };
-
-                    const updateResponse = await this.rateLimitedRequest(
-                        () => this.client.put(`models/${model.id}`, updateData),
-                        context
-                    );
-                    model = updateResponse.data.payload || updateResponse.data;
+                    model = await this.updateModel(model, device, manufacturer, context);
                     modelsByName.set(modelKey, model);
                 }
             } else {
@@ -583,7 +1361,7 @@ class SnipeService {
                 );
 
                 const existingModel = response.data.rows.find(m => 
-                    m.name.toLowerCase() === device.system.model.toLowerCase()
+                    this.nameNormalizer.getModelKey(m.name, m.manufacturer?.name) === modelKey
                 );
 
                 if (existingModel) {
@@ -592,115 +1370,1104 @@ class SnipeService {
                     
                     // Update if needed
                     if (model.manufacturer.id !== manufacturer.id || 
-                        !this.isModelCategoryCorrect(model, device.nodeClass)) {
+                        !this.isModelCategoryCorrect(model, device)) {
                         
                         context.log(`Updating found model ${model.name} with new category/manufacturer`);
-                        const updateData = {
-                            name: device.system.model,
-                            manufacturer_id: manufacturer.id,
-                            category_id: (await this.getOrCreateAssetCategory(device.nodeClass, context)).id,
-                            model_number: device.system.model
-                        };
-
-                        const updateResponse = await this.rateLimitedRequest(
-                            () => this.client.put(`models/${model.id}`, updateData),
-                            context
-                        );
-                        model = updateResponse.data.payload || updateResponse.data;
+                        model = await this.updateModel(model, device, manufacturer, context);
                         modelsByName.set(modelKey, model);
                     }
                 } else {
                     // Only create if we really can't find it
-                    model = await this.createModel(device.system.model, manufacturer.id, device.nodeClass, context);
+                    model = await this.createModel(device.system.model, manufacturer.id, device, context);
                     modelsByName.set(modelKey, model);
                 }
             }
 
+            // Resolve company and location from the device's Ninja organization
+            const placement = await this.resolvePlacement(device, context);
+
+            // Resolve the status label from the device's online and maintenance state
+            const statusLabel = this.manageStatus
+                ? await this.getStatusLabelByName(this.statusRules.resolve(device), context)
+                : null;
+
+            // Convert mapped Ninja custom field values to the types of their asset fields
+            const mappedFields = this.buildMappedFields(device, context);
+
             // Check if asset exists using cache
-            const existingAsset = assetsBySerial.get(device.system.serialNumber.toLowerCase());
+            const existingAsset = this.findExistingAsset(device, assetsBySerial, assetsByNinjaId);
+            let action;
+            let assetId;
+            let assetTag;
+            let conflicts = [];
+            let assetStatus = statusLabel;
             
             if (existingAsset) {
+                assetId = existingAsset.id;
+                assetTag = existingAsset.asset_tag;
                 // Update existing asset if needed
-                const changedFields = this.getChangedFields(device, existingAsset, model, manufacturer);
+                const review = this.getChangedFields(device, existingAsset, model, manufacturer, placement, statusLabel,
+                    mappedFields);
+                const { changedFields } = review;
+                if (changedFields.status_id === undefined) {
+                    assetStatus = existingAsset.status_label;
+                }
+                conflicts = review.conflicts;
+                conflicts.forEach(conflict => {
+                    context.log(`Conflict on ${conflict.field} of Snipe-IT asset ${existingAsset.asset_tag || existingAsset.id}: ` +
+                        `edited in Snipe-IT to ${JSON.stringify(conflict.snipeValue)}, Ninja has ${JSON.stringify(conflict.ninjaValue)} ` +
+                        `(${conflict.resolution})`);
+                });
                 
                 if (Object.keys(changedFields).length > 0) {
-                    await this.rateLimitedRequest(
-                        () => this.client.patch(`hardware/${existingAsset.id}`, changedFields),
-                        context
-                    );
+                    await this.writeRequest('patch', `hardware/${existingAsset.id}`, changedFields, context, {
+                        before: this.pickFields(this.describeAssetFields(existingAsset), Object.keys(changedFields))
+                    });
                     context.log(`Updated Snipe-IT asset: ${device.system.serialNumber} with changes:`, changedFields);
+                    action = 'updated';
                 } else {
                     context.log(`No changes needed for Snipe-IT asset: ${device.system.serialNumber}`);
+                    action = 'unchanged';
                 }
+                this.recordWrittenFields(existingAsset.id, review.syncedFields, review.keptFields);
             } else {
                 // Create new asset
-                const assetData = this.createAssetData(device, model, manufacturer);
-                await this.rateLimitedRequest(
-                    () => this.client.post('hardware', assetData),
-                    context
-                );
+                const assetData = this.createAssetData(device, model, manufacturer, placement, statusLabel,
+                    this.generateAssetTag(device), mappedFields);
+                const response = await this.writeRequest('post', 'hardware', assetData, context);
+                if (response.data.status === 'error') {
+                    throw new Error(`Failed to create asset ${device.system.serialNumber}. Response: ${JSON.stringify(response.data)}`);
+                }
+                const newAsset = response.data.payload || response.data;
+                assetId = newAsset.id;
+                assetTag = newAsset.asset_tag;
                 context.log(`Created new Snipe-IT asset: ${device.system.serialNumber}`);
+                action = 'created';
+
+                // Every field is the sync's own on a new asset, whatever its ownership
+                const writtenFields = { ...assetData };
+                delete writtenFields.asset_tag;
+                if (!this.ninjaFieldMap.fields.includes('notes')) {
+                    delete writtenFields.notes;
+                }
+                if (this.ninjaIdField) {
+                    delete writtenFields[this.ninjaIdField];
+                }
+                this.recordWrittenFields(assetId, writtenFields);
+            }
+
+            // Check the asset out to the device's last logged-in user
+            const assignment = await this.syncAssetAssignment(device, existingAsset || { id: assetId, assigned_to: null },
+                assetStatus, context);
+            if (assignment.changed && action === 'unchanged') {
+                action = 'updated';
             }
+            delete assignment.changed;
+
+            // Check the device's disks out to the asset as components; a failure is reported on the
+            // result without failing the device, whose asset is already in place
+            let componentError;
+            try {
+                if (await this.syncAssetComponents(device, assetId, context) && action === 'unchanged') {
+                    action = 'updated';
+                }
+            } catch (error) {
+                context.error(`Failed to sync disk components of device ${device.systemName || device.id}:`, error.message);
+                componentError = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+            }
+
+            return {
+                ...this.describeDevice(device),
+                assetId,
+                assetTag,
+                action,
+                ...assignment,
+                ...(conflicts.length > 0 && { conflicts }),
+                ...(componentError && { componentError }),
+                dryRun: this.dryRun,
+                changes
+            };
         } catch (error) {
             context.error(`Error syncing device ${device.system.serialNumber}:`, error);
+            error.changes = changes;
             throw error;
+        } finally {
+            this.currentChanges = null;
         }
     }
 
     /**
-     * Checks if a model's category matches the expected category for a nodeClass.
+     * Checks an asset out to the Snipe-IT user matching the device's last logged-in user,
+     * checking it in from the previous user first when the user has changed.
+     * Assets checked out to a location or another asset are left alone, and so are assets in a
+     * status label that is not deployable (such as "Pending"), which Snipe-IT refuses to check out.
+     * @private
+     * @param {Object} device - Device object from Ninja RMM
+     * @param {Object} asset - Asset object from Snipe-IT (only id and assigned_to are used)
+     * @param {Object|null} statusLabel - Status label the asset is in after the update, if known
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Assignment outcome: assignedUser, unmatchedUser and whether it changed
+     * @throws {Error} If a checkout, checkin or user creation fails
+     */
+    async syncAssetAssignment(device, asset, statusLabel, context) {
+        if (!this.checkoutRules.isEligible(device)) {
+            return {};
+        }
+        if (!isDeployable(statusLabel)) {
+            context.log(`Asset ${device.system.serialNumber} is in status label ${statusLabel.name}, which is not deployable, leaving assignment unchanged`);
+            return {};
+        }
+
+        const username = this.checkoutRules.getUsername(device);
+        if (!username) {
+            return {};
+        }
+
+        const currentAssignee = asset.assigned_to;
+        if (currentAssignee && currentAssignee.type && currentAssignee.type !== 'user') {
+            context.log(`Asset ${device.system.serialNumber} is checked out to a ${currentAssignee.type}, leaving assignment unchanged`);
+            return {};
+        }
+
+        if (!this.usersLoaded) {
+            await this.getUsers(context);
+        }
+
+        let user = this.userCache.get(username.toLowerCase());
+        if (!user) {
+            if (!this.checkoutRules.createMissingUsers) {
+                context.log(`No Snipe-IT user matches ${username} for asset ${device.system.serialNumber}`);
+                return { unmatchedUser: username };
+            }
+            user = await this.createUser(username, context);
+        }
+
+        if (currentAssignee?.id === user.id) {
+            return { assignedUser: user.username, changed: false };
+        }
+
+        if (currentAssignee) {
+            const checkinData = {
+                note: `Checked in by Ninja RMM sync: last logged-in user changed to ${user.username}`
+            };
+            const checkinResponse = await this.writeRequest('post', `hardware/${asset.id}/checkin`, checkinData, context, {
+                before: { assigned_user: currentAssignee.id }
+            });
+            if (checkinResponse.data.status === 'error') {
+                throw new Error(`Failed to check in asset ${device.system.serialNumber}. Response: ${JSON.stringify(checkinResponse.data)}`);
+            }
+            context.log(`Checked in asset ${device.system.serialNumber} from ${currentAssignee.username || currentAssignee.id}`);
+        }
+
+        const checkoutData = {
+            checkout_to_type: 'user',
+            assigned_user: user.id,
+            note: `Checked out by Ninja RMM sync to last logged-in user ${username}`
+        };
+        const checkoutResponse = await this.writeRequest('post', `hardware/${asset.id}/checkout`, checkoutData, context, {
+            before: { assigned_user: currentAssignee?.id ?? null }
+        });
+        if (checkoutResponse.data.status === 'error') {
+            throw new Error(`Failed to check out asset ${device.system.serialNumber}. Response: ${JSON.stringify(checkoutResponse.data)}`);
+        }
+
+        context.log(`Checked out asset ${device.system.serialNumber} to ${user.username}`);
+        return { assignedUser: user.username, changed: true };
+    }
+
+    /**
+     * Moves assets previously synced from Ninja whose devices have disappeared to the
+     * retirement status label. An asset is only retired after it has been missing for
+     * SnipeRetireGraceRuns consecutive runs, so a device briefly absent from Ninja is not flapped.
+     * @private
+     * @param {Array<Object>} existingAssets - Assets loaded from Snipe-IT at the start of the run
+     * @param {Array<Object>} devices - Devices synced in this run
+     * @param {Array<Object>} results - Per-device sync results of this run
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array<Object>>} A result for each asset retired (or that failed to retire)
+     */
+    async retireMissingAssets(existingAssets, devices, results, context) {
+        if (!this.retireStatusLabel) {
+            return [];
+        }
+        if (!this.stateStore) {
+            context.log('Asset retirement is configured but no state store was provided, skipping');
+            return [];
+        }
+        if (devices.length === 0) {
+            context.log('No devices received from Ninja RMM, skipping asset retirement');
+            return [];
+        }
+
+        const statusLabel = await this.getStatusLabelByName(this.retireStatusLabel, context);
+        const tracking = this.stateStore.get('retirement');
+        const now = new Date().toISOString();
+
+        const seenAssetIds = new Set(results.map(result => result.assetId).filter(id => id !== undefined));
+        const seenSerials = new Set(
+            devices
+                .map(device => device.system?.serialNumber)
+                .filter(serial => this.isUsableSerial(serial))
+                .map(serial => serial.trim().toLowerCase())
+        );
+        const seenNinjaIds = new Set(devices.map(device => String(device.id)));
+        seenAssetIds.forEach(assetId => {
+            tracking[assetId] = { lastSeen: now, missedRuns: 0 };
+        });
+
+        const retired = [];
+        for (const asset of existingAssets) {
+            const ninjaId = this.getNinjaId(asset);
+            const seen = seenAssetIds.has(asset.id) ||
+                (ninjaId && seenNinjaIds.has(ninjaId)) ||
+                (this.isUsableSerial(asset.serial) && seenSerials.has(asset.serial.trim().toLowerCase()));
+            if (seen) {
+                tracking[asset.id] = { lastSeen: now, missedRuns: 0 };
+                continue;
+            }
+
+            // Only assets this sync created or has matched before are eligible
+            if (!tracking[asset.id] && !(asset.notes || '').includes(SYNC_NOTE)) {
+                continue;
+            }
+
+            const entry = tracking[asset.id] || { lastSeen: null, missedRuns: 0 };
+            tracking[asset.id] = entry;
+            if (entry.retired) {
+                continue;
+            }
+
+            entry.missedRuns += 1;
+            entry.firstMissed = entry.firstMissed || now;
+
+            if (entry.missedRuns < this.retireGraceRuns) {
+                context.log(`Asset ${asset.serial} missing from Ninja RMM for ${entry.missedRuns}/${this.retireGraceRuns} runs`);
+                continue;
+            }
+
+            if (asset.status_label?.id === statusLabel.id) {
+                entry.retired = true;
+                continue;
+            }
+
+            const today = now.slice(0, 10);
+            const lastSeen = entry.lastSeen ? entry.lastSeen.slice(0, 10) : `before ${entry.firstMissed.slice(0, 10)}`;
+            const note = `Retired by Ninja RMM sync on ${today}: device missing from Ninja RMM for ${entry.missedRuns} runs, last seen ${lastSeen}`;
+
+            const result = await this.retireAsset(asset, statusLabel, note, context);
+            entry.retired = result.action === 'retired';
+            retired.push(result);
+        }
+
+        // Forget assets that have been deleted from Snipe-IT
+        const knownIds = new Set([...existingAssets.map(asset => String(asset.id)), ...[...seenAssetIds].map(String)]);
+        Object.keys(tracking).forEach(assetId => {
+            if (!knownIds.has(assetId)) {
+                delete tracking[assetId];
+            }
+        });
+
+        context.log(`Retired ${retired.filter(result => result.action === 'retired').length} assets missing from Ninja RMM`);
+        return retired;
+    }
+
+    /**
+     * Retires the asset of a device deleted from Ninja RMM straight away, without a grace period.
+     * Requires SnipeRetireStatusLabel and SnipeNinjaIdField, since the deleted device can no
+     * longer be fetched for its serial number.
+     * @param {number|string} ninjaDeviceId - ID of the deleted Ninja device
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Retirement result ('retired', 'unchanged', 'skipped' or 'failed')
+     * @throws {Error} If loading assets or status labels fails
+     */
+    async retireDeletedDevice(ninjaDeviceId, context) {
+        const skipped = reason => {
+            context.log(`Not retiring asset for deleted device ${ninjaDeviceId}: ${reason}`);
+            return { deviceId: ninjaDeviceId, action: 'skipped', reason, dryRun: this.dryRun, changes: [] };
+        };
+
+        if (!this.retireStatusLabel) {
+            return skipped('SnipeRetireStatusLabel is not configured');
+        }
+        if (!this.ninjaIdField) {
+            return skipped('SnipeNinjaIdField is not configured');
+        }
+
+        const [asset] = await this.findAssetsByNinjaId(ninjaDeviceId, context);
+        if (!asset) {
+            return skipped('no asset carries this Ninja device ID');
+        }
+
+        const statusLabel = await this.getStatusLabelByName(this.retireStatusLabel, context);
+        if (asset.status_label?.id === statusLabel.id) {
+            return { deviceId: ninjaDeviceId, systemName: asset.name, serialNumber: asset.serial, assetId: asset.id, action: 'unchanged', dryRun: this.dryRun, changes: [] };
+        }
+
+        const today = new Date().toISOString().slice(0, 10);
+        const note = `Retired by Ninja RMM sync on ${today}: device deleted from Ninja RMM`;
+        const result = await this.retireAsset(asset, statusLabel, note, context);
+
+        if (result.action === 'retired' && this.stateStore) {
+            const tracking = this.stateStore.get('retirement');
+            tracking[asset.id] = { ...(tracking[asset.id] || { lastSeen: null, missedRuns: 0 }), retired: true };
+        }
+
+        return { ...result, deviceId: ninjaDeviceId };
+    }
+
+    /**
+     * Moves a single asset to the retirement status label and appends a note explaining why.
+     * @private
+     * @param {Object} asset - Asset object from Snipe-IT
+     * @param {Object} statusLabel - Status label to move the asset to
+     * @param {string} note - Note appended to the asset's notes
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Retirement result
+     */
+    async retireAsset(asset, statusLabel, note, context) {
+        const changes = [];
+        this.currentChanges = changes;
+
+        const result = {
+            deviceId: null,
+            systemName: asset.name,
+            serialNumber: asset.serial,
+            assetId: asset.id,
+            assetTag: asset.asset_tag,
+            action: 'retired',
+            dryRun: this.dryRun,
+            changes
+        };
+
+        try {
+            const retireData = {
+                status_id: statusLabel.id,
+                notes: asset.notes ? `${asset.notes}\n${note}` : note
+            };
+
+            await this.writeRequest('patch', `hardware/${asset.id}`, retireData, context, {
+                before: { status_id: asset.status_label?.id, notes: asset.notes }
+            });
+
+            context.log(`Retired Snipe-IT asset ${asset.serial} to status ${statusLabel.name}`);
+            return result;
+        } catch (error) {
+            context.error(`Failed to retire asset ${asset.serial}:`, error);
+            return {
+                ...result,
+                action: 'failed',
+                error: error.response?.data ? JSON.stringify(error.response.data) : error.message
+            };
+        } finally {
+            this.currentChanges = null;
+        }
+    }
+
+    /**
+     * Retrieves all licenses from Snipe-IT.
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array>} Array of license objects, with seat counts
+     * @throws {Error} If the API request fails
+     */
+    async getLicenses(context) {
+        try {
+            const licenses = await this.getAllPages('licenses', context);
+            context.log(`Retrieved ${licenses.length} licenses from Snipe-IT`);
+            return licenses;
+        } catch (error) {
+            context.error('Error fetching licenses from Snipe-IT:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Retrieves the seats of a license, with the user or asset each is checked out to.
+     * @param {number} licenseId - Snipe-IT license ID
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array>} Array of license seat objects
+     * @throws {Error} If the API request fails
+     */
+    async getLicenseSeats(licenseId, context) {
+        try {
+            return await this.getAllPages(`licenses/${licenseId}/seats`, context);
+        } catch (error) {
+            context.error(`Error fetching seats of license ${licenseId} from Snipe-IT:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Checks a license seat out to an asset, or checks it back in.
+     * @param {number} licenseId - Snipe-IT license ID
+     * @param {Object} seat - Seat from getLicenseSeats
+     * @param {number|string|null} assetId - Asset to check the seat out to, or null to check it in
+     * @param {Array<Object>} changes - Change list the write is recorded in (e.g. the asset's device result)
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     * @throws {Error} If the seat update fails
+     */
+    async assignLicenseSeat(licenseId, seat, assetId, changes, context) {
+        this.currentChanges = changes;
+        try {
+            const seatData = assetId === null ? { asset_id: null, assigned_to: null } : { asset_id: assetId };
+            const response = await this.writeRequest('patch', `licenses/${licenseId}/seats/${seat.id}`, seatData, context, {
+                before: assetId === null
+                    ? { asset_id: seat.assigned_asset?.id ?? null, assigned_to: seat.assigned_user?.id ?? null }
+                    : { asset_id: seat.assigned_asset?.id ?? null }
+            });
+            if (response.data.status === 'error') {
+                throw new Error(`Failed to update seat ${seat.id} of license ${licenseId}. Response: ${JSON.stringify(response.data)}`);
+            }
+        } finally {
+            this.currentChanges = null;
+        }
+    }
+
+    /**
+     * Loads every component, keyed by lower-cased serial, and drops component assignments kept in
+     * the "components" state whose component or asset no longer exists. Given devices, only the
+     * components of their disks are looked up and nothing is dropped.
+     * @private
+     * @param {Array<Object>} existingAssets - Every asset in Snipe-IT, or those of the given devices
+     * @param {Object} context - Azure Function context for logging
+     * @param {Array<Object>|null} [devices=null] - Devices whose disk components to look up
+     * @returns {Promise<void>}
+     * @throws {Error} If the API request fails
+     */
+    async loadComponents(existingAssets, context, devices = null) {
+        try {
+            const serials = devices && devices
+                .flatMap(device => device.disks || [])
+                .map(disk => disk.serialNumber)
+                .filter(serial => this.isUsableSerial(serial))
+                .map(serial => serial.trim());
+            const components = [];
+            if (serials) {
+                for (const serial of serials) {
+                    components.push(...await this.getAllPages('components', context, { search: serial }));
+                }
+            } else {
+                components.push(...await this.getAllPages('components', context));
+            }
+            this.componentsBySerial = new Map(
+                components
+                    .filter(component => this.isUsableSerial(component.serial))
+                    .map(component => [component.serial.trim().toLowerCase(), component])
+            );
+            context.log(`Loaded ${components.length} components`);
+
+            if (!serials && !this.dryRun && this.stateStore) {
+                const componentIds = new Set(components.map(component => String(component.id)));
+                const assetIds = new Set(existingAssets.map(asset => String(asset.id)));
+                const tracking = this.stateStore.get('components');
+                Object.entries(tracking)
+                    .filter(([componentId, entry]) => !componentIds.has(componentId) || !assetIds.has(String(entry.assetId)))
+                    .forEach(([componentId]) => delete tracking[componentId]);
+            }
+        } catch (error) {
+            context.error('Error fetching components from Snipe-IT:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Gets the component category named by SnipeComponentCategory, creating it if needed.
+     * @private
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Component category
+     * @throws {Error} If a category of that name holds assets, or creation fails
+     */
+    async getOrCreateComponentCategory(context) {
+        const category = this.categoryCache.get(this.componentCategoryName.toLowerCase());
+        if (!category) {
+            return await this.createCategory(this.componentCategoryName, context, 'component');
+        }
+        if (String(category.category_type).toLowerCase() !== 'component') {
+            throw new Error(`Category ${category.name} is not a component category. Set SnipeComponentCategory to a component category`);
+        }
+        return category;
+    }
+
+    /**
+     * Keeps an asset's disk components in step with the device's disks. A disk with no component
+     * gets one created and checked out; a disk whose component is checked out to another asset is
+     * checked in from there and out to this asset; components this asset got from the sync whose
+     * disk is gone are checked in. Disks without a usable serial cannot be told apart and are skipped.
+     * @private
+     * @param {Object} device - Device object from Ninja RMM, with disks
+     * @param {number|string} assetId - Asset of the device
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<boolean>} True if any component was created, checked out or checked in
+     * @throws {Error} If a component request fails
+     */
+    async syncAssetComponents(device, assetId, context) {
+        // Devices read without disk inventory (such as from export files) keep their components
+        if (!this.syncComponents || !Array.isArray(device.disks)) {
+            return false;
+        }
+
+        const tracking = this.stateStore ? this.stateStore.get('components') : {};
+        const deviceName = device.systemName || device.system.serialNumber;
+        const present = new Set();
+        let changed = false;
+
+        for (const disk of device.disks) {
+            if (!this.isUsableSerial(disk.serialNumber)) {
+                continue;
+            }
+            // Disk serials are often padded with spaces, and devices from an export are not trimmed
+            const serialKey = disk.serialNumber.trim().toLowerCase();
+            let component = this.componentsBySerial.get(serialKey);
+            if (!component) {
+                component = await this.createComponent(disk, context);
+                this.componentsBySerial.set(serialKey, component);
+                changed = true;
+            }
+            if (present.has(String(component.id))) {
+                continue;
+            }
+            present.add(String(component.id));
+
+            if ((component.remaining ?? component.qty) > 0) {
+                await this.checkoutComponent(component, assetId, `disk found in ${deviceName}`, context);
+                changed = true;
+            } else if (String(tracking[component.id]?.assetId) !== String(assetId)) {
+                // Checked out without the sync knowing where, or to another asset: the disk may have moved
+                const assignments = await this.getComponentAssignments(component.id, context);
+                if (!assignments.some(assignment => String(assignment.id) === String(assetId))) {
+                    for (const assignment of assignments) {
+                        await this.checkinComponent(component, assignment, `disk moved to ${deviceName}`, context);
+                    }
+                    await this.checkoutComponent(component, assetId, `disk found in ${deviceName}`, context);
+                    changed = true;
+                }
+            }
+            this.recordComponent(component.id, assetId, disk.serialNumber.trim());
+        }
+
+        // Components the sync checked out to this asset whose disk is gone
+        const removed = Object.entries(tracking)
+            .filter(([componentId, entry]) => String(entry.assetId) === String(assetId) && !present.has(componentId));
+        for (const [componentId, entry] of removed) {
+            const assignments = await this.getComponentAssignments(componentId, context);
+            const assignment = assignments.find(row => String(row.id) === String(assetId));
+            if (assignment) {
+                const component = this.componentsBySerial.get(String(entry.serial).toLowerCase()) || { id: componentId };
+                await this.checkinComponent(component, assignment, `disk no longer in ${deviceName}`, context);
+                changed = true;
+            }
+            this.forgetComponent(componentId);
+        }
+
+        return changed;
+    }
+
+    /**
+     * Creates a component for a disk, carrying its model, size and serial.
+     * @private
+     * @param {Object} disk - Disk from the device's inventory
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Created component
+     * @throws {Error} If the category or component cannot be created
+     */
+    async createComponent(disk, context) {
+        const category = await this.getOrCreateComponentCategory(context);
+        const size = formatDiskSize(disk.size);
+        const details = [
+            size && `Size: ${size}`,
+            disk.interfaceType && `Interface: ${disk.interfaceType}`,
+            disk.mediaType && `Media: ${disk.mediaType}`
+        ].filter(Boolean);
+
+        const componentData = {
+            name: [disk.model || 'Disk', size && `(${size})`].filter(Boolean).join(' '),
+            category_id: category.id,
+            qty: 1,
+            serial: disk.serialNumber.trim(),
+            model_number: disk.model || null,
+            notes: [SYNC_NOTE, ...details].join('\n')
+        };
+
+        const response = await this.writeRequest('post', 'components', componentData, context);
+        if (response.data.status === 'error') {
+            throw new Error(`Failed to create component for disk ${disk.serialNumber}. Response: ${JSON.stringify(response.data)}`);
+        }
+
+        const component = response.data.payload || response.data;
+        context.log(`Created component ${componentData.name} for disk ${disk.serialNumber} with ID: ${component.id}`);
+        return component;
+    }
+
+    /**
+     * Retrieves the assets a component is checked out to.
+     * @private
+     * @param {number|string} componentId - Snipe-IT component ID
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Array<Object>>} Assignments, each with the asset id, assigned_pivot_id and qty
+     * @throws {Error} If the API request fails
+     */
+    async getComponentAssignments(componentId, context) {
+        return await this.getAllPages(`components/${componentId}/assets`, context);
+    }
+
+    /**
+     * Checks one unit of a component out to an asset.
+     * @private
+     * @param {Object} component - Component from Snipe-IT
+     * @param {number|string} assetId - Asset to check the component out to
+     * @param {string} reason - Why the component is checked out, added to the checkout note
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     * @throws {Error} If the checkout fails
+     */
+    async checkoutComponent(component, assetId, reason, context) {
+        const checkoutData = {
+            assigned_to: assetId,
+            assigned_qty: 1,
+            note: `Checked out by Ninja RMM sync: ${reason}`
+        };
+        const response = await this.writeRequest('post', `components/${component.id}/checkout`, checkoutData, context, {
+            before: { assigned_to: null }
+        });
+        if (response.data.status === 'error') {
+            throw new Error(`Failed to check out component ${component.id}. Response: ${JSON.stringify(response.data)}`);
+        }
+        component.remaining = (component.remaining ?? component.qty ?? 1) - 1;
+        context.log(`Checked out component ${component.name || component.id} to asset ${assetId}`);
+    }
+
+    /**
+     * Checks a component in from the asset it is checked out to.
+     * @private
+     * @param {Object} component - Component from Snipe-IT
+     * @param {Object} assignment - Assignment from getComponentAssignments
+     * @param {string} reason - Why the component is checked in, added to the checkin note
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     * @throws {Error} If the checkin fails
+     */
+    async checkinComponent(component, assignment, reason, context) {
+        // Checkins address the component's assignment to the asset, not the component itself
+        const checkinData = {
+            checkin_qty: assignment.qty || 1,
+            note: `Checked in by Ninja RMM sync: ${reason}`
+        };
+        const response = await this.writeRequest('post', `components/${assignment.assigned_pivot_id}/checkin`, checkinData, context, {
+            before: { component_id: component.id, assigned_to: assignment.id }
+        });
+        if (response.data.status === 'error') {
+            throw new Error(`Failed to check in component ${component.id}. Response: ${JSON.stringify(response.data)}`);
+        }
+        component.remaining = (component.remaining ?? 0) + (assignment.qty || 1);
+        context.log(`Checked in component ${component.name || component.id} from asset ${assignment.name || assignment.id}`);
+    }
+
+    /**
+     * Remembers in the "components" state that the sync holds a component checked out to an asset.
+     * Nothing is recorded in dry-run mode.
+     * @private
+     * @param {number|string} componentId - Snipe-IT component ID
+     * @param {number|string} assetId - Asset the component is checked out to
+     * @param {string} serial - Serial of the disk
+     */
+    recordComponent(componentId, assetId, serial) {
+        if (this.dryRun || !this.stateStore) {
+            return;
+        }
+        this.stateStore.get('components')[componentId] = { assetId, serial };
+    }
+
+    /**
+     * Forgets a component checked in by the sync. Nothing is changed in dry-run mode.
+     * @private
+     * @param {number|string} componentId - Snipe-IT component ID
+     */
+    forgetComponent(componentId) {
+        if (this.dryRun || !this.stateStore) {
+            return;
+        }
+        delete this.stateStore.get('components')[componentId];
+    }
+
+    /**
+     * Finds the Snipe-IT asset for a device: by Ninja device ID when SnipeNinjaIdField is set,
+     * otherwise (or if no asset carries the ID yet) by serial number. Placeholder serials never match.
+     * @private
+     * @param {Object} device - Device object from Ninja RMM
+     * @param {Map} assetsBySerial - Cache of assets keyed by lower-cased serial
+     * @param {Map} assetsByNinjaId - Cache of assets keyed by Ninja device ID
+     * @returns {Object|undefined} Matching asset, if any
+     */
+    findExistingAsset(device, assetsBySerial, assetsByNinjaId) {
+        if (this.ninjaIdField) {
+            const assetById = assetsByNinjaId.get(String(device.id));
+            if (assetById) {
+                return assetById;
+            }
+        }
+
+        const serial = device.system.serialNumber;
+        if (this.isUsableSerial(serial)) {
+            return assetsBySerial.get(serial.trim().toLowerCase());
+        }
+        return undefined;
+    }
+
+    /**
+     * Checks whether a serial number can be used to match assets.
+     * @private
+     * @param {string} serial - Serial number
+     * @returns {boolean} True unless the serial is missing or a known placeholder
+     */
+    isUsableSerial(serial) {
+        return isUsableSerial(serial, this.placeholderSerials);
+    }
+
+    /**
+     * Reads the Ninja device ID stored on a Snipe-IT asset.
+     * @private
+     * @param {Object} asset - Asset object from Snipe-IT
+     * @returns {string|null} Ninja device ID, or null if none is stored or no ID field is configured
+     */
+    getNinjaId(asset) {
+        if (!this.ninjaIdField) {
+            return null;
+        }
+        const ninjaId = this.describeAssetFields(asset)[this.ninjaIdField];
+        return ninjaId ? String(ninjaId).trim() : null;
+    }
+
+    /**
+     * Updates an existing model's manufacturer and category to match the device.
+     * @private
+     * @param {Object} model - Existing model object from Snipe-IT
+     * @param {Object} device - Device object from Ninja RMM
+     * @param {Object} manufacturer - Manufacturer object
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<Object>} Updated model object
+     */
+    async updateModel(model, device, manufacturer, context) {
+        const category = await this.getOrCreateAssetCategory(device, context);
+        const updateData = {
+            name: device.system.model,
+            manufacturer_id: manufacturer.id,
+            category_id: category.id,
+            model_number: device.system.model
+        };
+
+        const updateResponse = await this.writeRequest('put', `models/${model.id}`, updateData, context, {
+            before: this.describeModelFields(model),
+            simulated: {
+                ...model,
+                ...updateData,
+                manufacturer: { id: manufacturer.id, name: manufacturer.name },
+                category: { id: category.id, name: category.name }
+            }
+        });
+        return updateResponse.data.payload || updateResponse.data;
+    }
+
+    /**
+     * Builds the link to an asset's page in the Snipe-IT web UI.
+     * @param {number} assetId - Snipe-IT asset ID
+     * @returns {string} Hardware page URL
+     */
+    getAssetUrl(assetId) {
+        return `${this.webBaseURL}/hardware/${assetId}`;
+    }
+
+    /**
+     * Builds the identifying fields reported for a device in sync results.
+     * @private
+     * @param {Object} device - Device object from Ninja RMM
+     * @returns {Object} Device identity
+     */
+    describeDevice(device) {
+        return {
+            deviceId: device.id,
+            systemName: device.systemName,
+            serialNumber: device.system?.serialNumber
+        };
+    }
+
+    /**
+     * Flattens a Snipe-IT asset into the same field names used for writes.
+     * @private
+     * @param {Object} asset - Asset object from Snipe-IT
+     * @returns {Object} Writable field values of the asset
+     */
+    describeAssetFields(asset) {
+        const fields = {
+            name: asset.name,
+            serial: asset.serial,
+            model_id: asset.model?.id,
+            manufacturer_id: asset.manufacturer?.id,
+            model_number: asset.model_number,
+            status_id: asset.status_label?.id,
+            order_number: asset.order_number,
+            purchase_cost: normalizeCost(asset.purchase_cost),
+            purchase_date: asset.purchase_date?.date ?? asset.purchase_date,
+            warranty_months: asset.warranty_months ? parseInt(asset.warranty_months, 10) : asset.warranty_months,
+            notes: asset.notes,
+            company_id: asset.company?.id,
+            location_id: asset.location?.id,
+            rtd_location_id: asset.rtd_location?.id
+        };
+
+        // Custom fields are keyed by label in API responses; expose them by db column instead
+        Object.values(asset.custom_fields || {}).forEach(customField => {
+            if (customField?.field) {
+                fields[customField.field] = customField.value;
+            }
+        });
+
+        return fields;
+    }
+
+    /**
+     * Flattens a Snipe-IT model into the same field names used for writes.
+     * @private
+     * @param {Object} model - Model object from Snipe-IT
+     * @returns {Object} Writable field values of the model
+     */
+    describeModelFields(model) {
+        return {
+            name: model.name,
+            manufacturer_id: model.manufacturer?.id,
+            category_id: model.category?.id,
+            model_number: model.model_number
+        };
+    }
+
+    /**
+     * Returns a copy of an object limited to the given keys.
+     * @private
+     * @param {Object} source - Source object
+     * @param {Array<string>} keys - Keys to keep
+     * @returns {Object} Object containing only the requested keys
+     */
+    pickFields(source, keys) {
+        return keys.reduce((picked, key) => {
+            picked[key] = source[key];
+            return picked;
+        }, {});
+    }
+
+    /**
+     * Checks if a model's category matches the expected category for a device. Runs covering part
+     * of the inventory cannot tell which category most devices of the model need, so they accept
+     * the category an existing model has.
      * @private
      * @param {Object} model - Model object from Snipe-IT
-     * @param {string} nodeClass - Node class from Ninja RMM
+     * @param {Object} device - Device object from Ninja RMM
      * @returns {boolean} True if category matches
      */
-    isModelCategoryCorrect(model, nodeClass) {
-        const expectedCategoryName = this.getExpectedCategoryName(nodeClass);
+    isModelCategoryCorrect(model, device) {
+        if (!this.recategorizeModels && model.category) {
+            return true;
+        }
+        const expectedCategoryName = this.getExpectedCategoryName(device);
         return model.category.name.toLowerCase() === expectedCategoryName.toLowerCase();
     }
 
     /**
-     * Gets the expected category name for a nodeClass.
+     * Gets the expected category name for a device: that of its model (see planModelCategories),
+     * or the one the category rules resolve for the device itself.
      * @private
-     * @param {string} nodeClass - Node class from Ninja RMM
+     * @param {Object} device - Device object from Ninja RMM
      * @returns {string} Category name
      */
-    getExpectedCategoryName(nodeClass) {
-        switch (nodeClass) {
-            case 'WINDOWS_SERVER': return 'Windows Servers';
-            case 'WINDOWS_WORKSTATION': return 'Windows Workstations';
-            case 'VMWARE_VM_HOST': return 'VMware Hosts';
-            default: return 'Other Hardware';
-        }
+    getExpectedCategoryName(device) {
+        const modelKey = this.nameNormalizer.getModelKey(device.system.model, device.system.manufacturer);
+        return this.modelCategories.get(modelKey) || this.categoryRules.resolve(device);
     }
 
     /**
-     * Determines which fields need to be updated for an existing asset.
+     * Determines which fields need to be updated for an existing asset, applying field ownership.
      * @private
      * @param {Object} device - Device object from Ninja RMM
      * @param {Object} existingAsset - Existing asset from Snipe-IT
      * @param {Object} model - Model object
      * @param {Object} manufacturer - Manufacturer object
-     * @returns {Object} Object containing fields that need updating
+     * @param {Object} [placement={}] - Company and location fields (see resolvePlacement)
+     * @param {Object} [statusLabel] - Status label resolved by the status rules
+     * @param {Object} [mappedFields={}] - Asset fields from Ninja custom fields (see buildMappedFields)
+     * @returns {Object} { changedFields, conflicts, syncedFields, keptFields }: fields that need updating,
+     *   fields newly edited in Snipe-IT that differ from Ninja, the Ninja values Snipe-IT will hold
+     *   and the Snipe-IT values kept on those conflicts
      */
-    getChangedFields(device, existingAsset, model, manufacturer) {
+    getChangedFields(device, existingAsset, model, manufacturer, placement = {}, statusLabel, mappedFields = {}) {
         const changedFields = {};
+        const conflicts = [];
+        const syncedFields = {};
+        const keptFields = {};
+        const currentFields = this.describeAssetFields(existingAsset);
 
-        // Only add fields that have actually changed
-        if (device.systemName !== existingAsset.name) {
-            changedFields.name = device.systemName;
+        // Fields Ninja has a value for; whether each is written depends on its ownership
+        const ninjaFields = {
+            name: device.systemName,
+            model_id: model.id,
+            manufacturer_id: manufacturer.id,
+            model_number: device.system.model,
+            ...placement,
+            ...this.customFieldMap.buildFields(device),
+            ...mappedFields
+        };
+
+        // Checked-out assets take their current location from the assignee
+        if (existingAsset.assigned_to) {
+            delete ninjaFields.location_id;
         }
-        if (model.id !== existingAsset.model.id) {
-            changedFields.model_id = model.id;
+
+        // Labels set by hand (e.g. Lost/Stolen, or the retirement label) are left alone
+        if (statusLabel && this.statusRules.manages(existingAsset.status_label?.name)) {
+            ninjaFields.status_id = statusLabel.id;
         }
-        if (manufacturer.id !== existingAsset.manufacturer.id) {
-            changedFields.manufacturer_id = manufacturer.id;
+
+        // Serials differing only in case are the same serial
+        const serial = device.system.serialNumber;
+        if (this.isUsableSerial(serial)) {
+            const sameSerial = serial.trim().toLowerCase() === (existingAsset.serial || '').trim().toLowerCase();
+            ninjaFields.serial = sameSerial ? existingAsset.serial : serial;
         }
-        if (device.system.model !== existingAsset.model_number) {
-            changedFields.model_number = device.system.model;
+
+        const lastWritten = this.getWrittenFields(existingAsset.id);
+        const kept = this.getWrittenFields(existingAsset.id, 'keptFields');
+        for (const [field, value] of Object.entries(ninjaFields)) {
+            const decision = this.fieldOwnership.decide(field, currentFields[field], value, lastWritten[field], kept[field]);
+            if (decision.conflict) {
+                conflicts.push({
+                    field,
+                    snipeValue: currentFields[field] ?? null,
+                    ninjaValue: value,
+                    lastWritten: lastWritten[field],
+                    resolution: decision.write ? 'overwritten' : 'kept'
+                });
+            }
+            if (decision.conflict && !decision.write) {
+                keptFields[field] = currentFields[field] ?? null;
+            }
+            if (decision.write) {
+                changedFields[field] = value;
+            }
+            if (decision.write || decision.inSync) {
+                syncedFields[field] = value;
+            }
+        }
+
+        // A changed serial (e.g. after a motherboard swap) is recorded in the asset notes,
+        // unless the notes come from a Ninja custom field
+        if (changedFields.serial && !this.ninjaFieldMap.fields.includes('notes')) {
+            const today = new Date().toISOString().slice(0, 10);
+            const note = `Serial changed from ${existingAsset.serial || '(none)'} to ${serial} by Ninja RMM sync on ${today}`;
+            changedFields.notes = existingAsset.notes ? `${existingAsset.notes}\n${note}` : note;
+        }
+
+        // The Ninja device ID identifies the asset, so it is not subject to ownership
+        if (this.ninjaIdField && String(currentFields[this.ninjaIdField] ?? '') !== String(device.id)) {
+            changedFields[this.ninjaIdField] = String(device.id);
+        }
+
+        return { changedFields, conflicts, syncedFields, keptFields };
+    }
+
+    /**
+     * Gets the field values the sync last wrote to an asset or found already matching Ninja, or
+     * the Snipe-IT edits it kept on conflicts.
+     * @private
+     * @param {number|string} assetId - Snipe-IT asset ID
+     * @param {string} [namespace='assetFields'] - "assetFields" or "keptFields"
+     * @returns {Object} Field values keyed by field name (empty without a state store)
+     */
+    getWrittenFields(assetId, namespace = 'assetFields') {
+        if (!this.stateStore) {
+            return {};
+        }
+        return this.stateStore.get(namespace)[assetId] || {};
+    }
+
+    /**
+     * Drops remembered field values of assets no longer in Snipe-IT.
+     * @private
+     * @param {Array<Object>} existingAssets - Every asset in Snipe-IT
+     */
+    pruneWrittenFields(existingAssets) {
+        if (this.dryRun || !this.stateStore) {
+            return;
+        }
+        const assetIds = new Set(existingAssets.map(asset => String(asset.id)));
+        ['assetFields', 'keptFields'].forEach(namespace => {
+            const written = this.stateStore.get(namespace);
+            Object.keys(written)
+                .filter(assetId => !assetIds.has(assetId))
+                .forEach(assetId => delete written[assetId]);
+        });
+    }
+
+    /**
+     * Remembers field values written to an asset in the "assetFields" state, so later runs can
+     * tell edits made in Snipe-IT from changes in Ninja, and Snipe-IT edits kept on conflicts in the
+     * "keptFields" state, so those conflicts are reported once. A field that matches Ninja again is
+     * no longer kept. Nothing is recorded in dry-run mode.
+     * @private
+     * @param {number|string} assetId - Snipe-IT asset ID
+     * @param {Object} fields - Field values now held by the asset
+     * @param {Object} [keptFields={}] - Snipe-IT values kept on new conflicts
+     */
+    recordWrittenFields(assetId, fields, keptFields = {}) {
+        if (this.dryRun || !this.stateStore) {
+            return;
+        }
+        if (Object.keys(fields).length > 0) {
+            const written = this.stateStore.get('assetFields');
+            written[assetId] = { ...(written[assetId] || {}), ...fields };
+        }
+
+        const keptState = this.stateStore.get('keptFields');
+        const kept = { ...(keptState[assetId] || {}), ...keptFields };
+        Object.keys(fields).forEach(field => delete kept[field]);
+        if (Object.keys(kept).length > 0) {
+            keptState[assetId] = kept;
+        } else {
+            delete keptState[assetId];
         }
+    }
 
-        return changedFields;
+    /**
+     * Builds asset field values from the device's Ninja custom fields with the Ninja field map.
+     * Values that cannot be converted to their field's type are logged and left out.
+     * @private
+     * @param {Object} device - Device object from Ninja RMM
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Object} Values keyed by asset field
+     */
+    buildMappedFields(device, context) {
+        const { fields, errors } = this.ninjaFieldMap.buildFields(device);
+        errors.forEach(error => context.log(`Ignoring a custom field of device ${device.systemName}: ${error}`));
+        return fields;
+    }
+
+    /**
+     * Chooses the tag for a new asset with the asset tag policy and reserves it for this run.
+     * @private
+     * @param {Object} device - Device object from Ninja RMM
+     * @returns {string|null} Asset tag, or null to let Snipe-IT assign one
+     * @throws {Error} If the policy cannot produce a free tag for the device
+     */
+    generateAssetTag(device) {
+        const assetTag = this.assetTagPolicy.generate({
+            deviceId: device.id,
+            serial: this.isUsableSerial(device.system.serialNumber) ? device.system.serialNumber : null,
+            systemName: device.systemName,
+            organization: device.organizationName,
+            category: this.getExpectedCategoryName(device),
+            company: this.organizationMap.resolveCompanyName(device) || device.organizationName
+        }, this.assetTags);
+
+        if (assetTag) {
+            this.assetTags.add(assetTag.toLowerCase());
+        }
+        return assetTag;
     }
 
     /**
@@ -709,18 +2476,72 @@ class SnipeService {
      * @param {Object} device - Device object from Ninja RMM
      * @param {Object} model - Model object
      * @param {Object} manufacturer - Manufacturer object
+     * @param {Object} [placement={}] - Company and location fields (see resolvePlacement)
+     * @param {Object|null} statusLabel - Status label resolved by the status rules; null when status labels are not synced
+     * @param {string|null} [assetTag] - Tag chosen by the asset tag policy; omitted to let Snipe-IT assign one
+     * @param {Object} [mappedFields={}] - Asset fields from Ninja custom fields (see buildMappedFields)
      * @returns {Object} Asset data object
      */
-    createAssetData(device, model, manufacturer) {
+    createAssetData(device, model, manufacturer, placement = {}, statusLabel, assetTag = null, mappedFields = {}) {
         return {
-            status_id: 1,
+            ...(assetTag ? { asset_tag: assetTag } : {}),
+            // Status label ID 1 is Snipe-IT's first label, used when status labels are not synced
+            status_id: statusLabel ? statusLabel.id : 1,
             model_id: model.id,
             name: device.systemName,
-            serial: device.system.serialNumber,
+            serial: this.isUsableSerial(device.system.serialNumber) ? device.system.serialNumber : null,
             manufacturer_id: manufacturer.id,
-            model_number: device.system.model
+            model_number: device.system.model,
+            notes: SYNC_NOTE,
+            ...placement,
+            ...this.customFieldMap.buildFields(device),
+            ...mappedFields,
+            ...(this.ninjaIdField ? { [this.ninjaIdField]: String(device.id) } : {})
         };
     }
 }
 
+/**
+ * Turns a purchase cost as Snipe-IT returns it, formatted with the instance's separators
+ * ("1,299.00" or "1.299,00"), into plain number text.
+ * @private
+ * @param {*} cost - Purchase cost from the API
+ * @returns {string|null} Cost such as "1299", or null if there is none
+ */
+function normalizeCost(cost) {
+    if (cost === undefined || cost === null || cost === '') {
+        return null;
+    }
+    const number = parseFormattedNumber(cost);
+    return Number.isFinite(number) ? String(number) : String(cost);
+}
+
+/**
+ * Checks whether assets in a status label can be checked out. Status labels from the status label
+ * list carry a type; those embedded in assets carry status_meta, which is "deployed" once checked out.
+ * @private
+ * @param {Object|null} statusLabel - Status label, or null if unknown
+ * @returns {boolean} True if the label is deployable or unknown
+ */
+function isDeployable(statusLabel) {
+    const type = statusLabel?.type || statusLabel?.status_meta;
+    return !type || ['deployable', 'deployed'].includes(String(type).toLowerCase());
+}
+
+/**
+ * Formats a disk size in bytes the way drives are sold, in decimal gigabytes or terabytes.
+ * @private
+ * @param {number} bytes - Disk size in bytes
+ * @returns {string|null} Size such as "512 GB" or "2 TB", or null if unknown
+ */
+function formatDiskSize(bytes) {
+    if (!Number.isFinite(bytes) || bytes <= 0) {
+        return null;
+    }
+    const gigabytes = bytes / 1e9;
+    return gigabytes >= 1000
+        ? `${Number((gigabytes / 1000).toFixed(1))} TB`
+        : `${Math.round(gigabytes)} GB`;
+}
+
 module.exports = SnipeService; 
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Creates the sync state store selected by the SyncStateBackend setting.
+ * @module createStateStore
+ * @requires ./fileStateStore
+ * @requires ./tableStateStore
+ */
+
+const FileStateStore = require('./fileStateStore');
+const TableStateStore = require('./tableStateStore');
+
+/**
+ * Creates the configured state store.
+ * - "file": JSON file at SyncStatePath (default sync-state.json), which must be writable
+ * - "table": Azure Table Storage table SyncStateTable (default NinjaSnipeSyncState), using the
+ *   SyncStateConnection connection string or AzureWebJobsStorage (Azurite locally)
+ * Without SyncStateBackend, function apps running in Azure (WEBSITE_INSTANCE_ID set) with a storage
+ * connection use "table", since their app folder may be read-only; everything else uses "file".
+ * @returns {FileStateStore|TableStateStore} State store (not yet loaded)
+ * @throws {Error} If the backend is unknown or misconfigured
+ */
+function createStateStore() {
+    const backend = (process.env.SyncStateBackend || defaultBackend()).toLowerCase();
+
+    switch (backend) {
+        case 'file':
+            return new FileStateStore(process.env.SyncStatePath || 'sync-state.json');
+        case 'table':
+            return new TableStateStore(
+                process.env.SyncStateConnection || process.env.AzureWebJobsStorage,
+                process.env.SyncStateTable || 'NinjaSnipeSyncState'
+            );
+        default:
+            throw new Error(`Unknown SyncStateBackend "${backend}". Supported: file, table`);
+    }
+}
+
+/**
+ * Picks the backend used when SyncStateBackend is not set.
+ * @private
+ * @returns {string} "table" in Azure with a storage connection, otherwise "file"
+ */
+function defaultBackend() {
+    const connection = process.env.SyncStateConnection || process.env.AzureWebJobsStorage;
+    return process.env.WEBSITE_INSTANCE_ID && connection ? 'table' : 'file';
+}
+
+module.exports = createStateStore;
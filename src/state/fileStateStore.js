@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Sync state persisted to a local JSON file.
+ * @module FileStateStore
+ * @requires crypto
+ * @requires fs/promises
+ * @requires path
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Class representing a JSON file holding state carried between sync runs.
+ * State is grouped into namespaces (e.g. "retirement"), each holding a plain object.
+ */
+class FileStateStore {
+    /**
+     * Create a FileStateStore instance.
+     * @param {string} filePath - Path of the JSON state file
+     * @throws {Error} If filePath is not provided
+     */
+    constructor(filePath) {
+        if (!filePath) {
+            throw new Error('A state file path is required');
+        }
+
+        this.filePath = path.resolve(filePath);
+        this.state = {};
+    }
+
+    /**
+     * Loads state from disk. A missing file yields empty state.
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     * @throws {Error} If the file exists but cannot be read or parsed
+     */
+    async load(context) {
+        try {
+            const contents = await fs.readFile(this.filePath, 'utf8');
+            this.state = JSON.parse(contents);
+            context.log(`Loaded sync state from ${this.filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Failed to load sync state from ${this.filePath}: ${error.message}`);
+            }
+            context.log(`No sync state found at ${this.filePath}, starting fresh`);
+            this.state = {};
+        }
+    }
+
+    /**
+     * Writes state to disk, replacing the file atomically. Each save writes its own temporary
+     * file, so saves from separate processes never rename each other's file.
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     * @throws {Error} If the file cannot be written
+     */
+    async save(context) {
+        const tempPath = `${this.filePath}.${crypto.randomUUID()}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(this.state, null, 2));
+        await fs.rename(tempPath, this.filePath);
+        context.log(`Saved sync state to ${this.filePath}`);
+    }
+
+    /**
+     * Gets the state of a namespace.
+     * @param {string} namespace - Namespace name
+     * @returns {Object} Namespace state (an empty object if none was stored)
+     */
+    get(namespace) {
+        if (!this.state[namespace]) {
+            this.state[namespace] = {};
+        }
+        return this.state[namespace];
+    }
+
+    /**
+     * Replaces the state of a namespace.
+     * @param {string} namespace - Namespace name
+     * @param {Object} value - New namespace state
+     */
+    set(namespace, value) {
+        this.state[namespace] = value;
+    }
+}
+
+module.exports = FileStateStore;
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Sync state persisted to Azure Table Storage (or Azurite when running locally).
+ * @module TableStateStore
+ * @requires @azure/data-tables
+ */
+
+const { TableClient } = require('@azure/data-tables');
+
+/**
+ * Characters stored per entity property; Table Storage limits string properties to 64 KiB of UTF-16.
+ * Longer values are split across value, value1, value2, ... properties.
+ * @private
+ */
+const CHUNK_LENGTH = 30000;
+
+/**
+ * Class representing sync state kept in an Azure Storage table.
+ * Each namespace is a partition and each key within it a row holding its value as JSON,
+ * so only the entries that changed during a run are written back. Values are limited to
+ * the 1 MiB entity size of Table Storage.
+ */
+class TableStateStore {
+    /**
+     * Create a TableStateStore instance.
+     * @param {string} connectionString - Storage account connection string
+     *   ("UseDevelopmentStorage=true" for Azurite)
+     * @param {string} tableName - Table holding the state
+     * @throws {Error} If connectionString or tableName is not provided
+     */
+    constructor(connectionString, tableName) {
+        if (!connectionString) {
+            throw new Error('A storage connection string is required for the table state store');
+        }
+        if (!tableName) {
+            throw new Error('A table name is required for the table state store');
+        }
+
+        this.tableName = tableName;
+        this.client = TableClient.fromConnectionString(connectionString, tableName, {
+            allowInsecureConnection: connectionString.includes('UseDevelopmentStorage=true') ||
+                connectionString.includes('http://')
+        });
+        this.state = {};
+        this.loaded = {};
+    }
+
+    /**
+     * Loads state from the table, creating the table if it does not exist.
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     * @throws {Error} If the table cannot be created or read
+     */
+    async load(context) {
+        try {
+            await this.client.createTable();
+
+            this.state = {};
+            this.loaded = {};
+            let count = 0;
+            for await (const entity of this.client.listEntities()) {
+                const value = joinChunks(entity);
+                const namespace = this.get(entity.partitionKey);
+                namespace[entity.rowKey] = JSON.parse(value);
+                this.loaded[`${entity.partitionKey}/${entity.rowKey}`] = value;
+                count++;
+            }
+
+            context.log(`Loaded ${count} sync state entries from table ${this.tableName}`);
+        } catch (error) {
+            throw new Error(`Failed to load sync state from table ${this.tableName}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Writes entries that changed since load and deletes entries that were removed.
+     * @param {Object} context - Azure Function context for logging
+     * @returns {Promise<void>}
+     * @throws {Error} If the table cannot be written
+     */
+    async save(context) {
+        const current = {};
+        for (const [partitionKey, entries] of Object.entries(this.state)) {
+            for (const [rowKey, value] of Object.entries(entries)) {
+                current[`${partitionKey}/${rowKey}`] = { partitionKey, rowKey, value: JSON.stringify(value) };
+            }
+        }
+
+        let upserted = 0;
+        let deleted = 0;
+        try {
+            for (const [key, entity] of Object.entries(current)) {
+                if (this.loaded[key] !== entity.value) {
+                    await this.client.upsertEntity({
+                        partitionKey: entity.partitionKey,
+                        rowKey: entity.rowKey,
+                        ...splitChunks(entity.value)
+                    }, 'Replace');
+                    upserted++;
+                }
+            }
+
+            for (const key of Object.keys(this.loaded)) {
+                if (!current[key]) {
+                    const [partitionKey, ...rowKey] = key.split('/');
+                    await this.client.deleteEntity(partitionKey, rowKey.join('/'));
+                    deleted++;
+                }
+            }
+        } catch (error) {
+            throw new Error(`Failed to save sync state to table ${this.tableName}: ${error.message}`);
+        }
+
+        this.loaded = Object.fromEntries(Object.entries(current).map(([key, entity]) => [key, entity.value]));
+        context.log(`Saved sync state to table ${this.tableName} (${upserted} written, ${deleted} deleted)`);
+    }
+
+    /**
+     * Gets the state of a namespace.
+     * @param {string} namespace - Namespace name
+     * @returns {Object} Namespace state (an empty object if none was stored)
+     */
+    get(namespace) {
+        if (!this.state[namespace]) {
+            this.state[namespace] = {};
+        }
+        return this.state[namespace];
+    }
+
+    /**
+     * Replaces the state of a namespace.
+     * @param {string} namespace - Namespace name
+     * @param {Object} value - New namespace state
+     */
+    set(namespace, value) {
+        this.state[namespace] = value;
+    }
+}
+
+/**
+ * Splits a JSON value into entity properties of at most CHUNK_LENGTH characters.
+ * @private
+ * @param {string} value - JSON text
+ * @returns {Object} Entity properties value, value1, value2, ...
+ */
+function splitChunks(value) {
+    const properties = {};
+    for (let index = 0; index * CHUNK_LENGTH < Math.max(value.length, 1); index++) {
+        properties[index === 0 ? 'value' : `value${index}`] = value.slice(index * CHUNK_LENGTH, (index + 1) * CHUNK_LENGTH);
+    }
+    return properties;
+}
+
+/**
+ * Joins the value properties of an entity written by splitChunks.
+ * @private
+ * @param {Object} entity - Table entity
+ * @returns {string} JSON text
+ */
+function joinChunks(entity) {
+    let value = entity.value;
+    for (let index = 1; entity[`value${index}`] !== undefined; index++) {
+        value += entity[`value${index}`];
+    }
+    return value;
+}
+
+module.exports = TableStateStore;
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Optional sync stage assigning Snipe-IT license seats to assets from Ninja RMM software inventory.
+ * @module softwareLicenses
+ */
+
+/**
+ * Checks license seats out to the assets of devices with allow-listed software installed, and
+ * checks seats in when the software is gone. Only seats checked out to assets synced in this run
+ * are checked in, so seats of other assets and seats checked out to users are left alone.
+ * Seat changes are recorded on the device results; failures are recorded on the license.
+ * @param {Array<Object>} results - Per-device sync results
+ * @param {NinjaService} ninjaService - Ninja RMM service
+ * @param {SnipeService} snipeService - Snipe-IT service
+ * @param {SoftwareLicenseMap} licenseMap - Software to license allow-list
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<Array<Object>>} Per-license outcome: licenseId, name, seats, installs (devices with
+ *   the software, whether synced or not), checkedOut, checkedIn, unassigned (assets left without a
+ *   seat because none was free) and errors
+ * @throws {Error} If the software inventory or the license list cannot be retrieved
+ */
+async function syncSoftwareLicenses(results, ninjaService, snipeService, licenseMap, context) {
+    if (!licenseMap.enabled) {
+        return [];
+    }
+    if (typeof ninjaService.getSoftwareInventory !== 'function') {
+        context.log('Device source has no software inventory, skipping license seats');
+        return [];
+    }
+
+    // Assets synced in this run, keyed by Ninja device ID
+    const resultsByDevice = new Map(results
+        .filter(result => result.deviceId != null && result.assetId && !['failed', 'retired'].includes(result.action))
+        .map(result => [String(result.deviceId), result]));
+    const resultsByAsset = new Map([...resultsByDevice.values()].map(result => [String(result.assetId), result]));
+
+    // Devices with each license's software installed
+    const installs = new Map(licenseMap.licenseIds.map(licenseId => [licenseId, new Set()]));
+    const software = await ninjaService.getSoftwareInventory(context);
+    software.forEach(product => {
+        const licenseId = licenseMap.resolve(product);
+        if (licenseId) {
+            installs.get(licenseId).add(String(product.deviceId));
+        }
+    });
+
+    const licensesById = new Map((await snipeService.getLicenses(context)).map(license => [license.id, license]));
+    const outcomes = [];
+
+    for (const [licenseId, deviceIds] of installs) {
+        const license = licensesById.get(licenseId);
+        const outcome = {
+            licenseId,
+            name: license?.name ?? null,
+            seats: license?.seats ?? 0,
+            installs: deviceIds.size,
+            checkedOut: 0,
+            checkedIn: 0,
+            unassigned: 0,
+            errors: []
+        };
+        outcomes.push(outcome);
+
+        if (!license) {
+            outcome.errors.push(`License ${licenseId} does not exist in Snipe-IT`);
+            continue;
+        }
+
+        try {
+            const seats = await snipeService.getLicenseSeats(licenseId, context);
+            const seatsByAsset = new Map(seats
+                .filter(seat => seat.assigned_asset)
+                .map(seat => [String(seat.assigned_asset.id), seat]));
+            const freeSeats = seats.filter(seat => !seat.assigned_asset && !seat.assigned_user);
+            const wanted = new Set([...deviceIds]
+                .filter(deviceId => resultsByDevice.has(deviceId))
+                .map(deviceId => String(resultsByDevice.get(deviceId).assetId)));
+
+            // Check seats in first, so they can be reused for new installs
+            for (const [assetId, seat] of seatsByAsset) {
+                const result = resultsByAsset.get(assetId);
+                if (!result || wanted.has(assetId)) {
+                    continue;
+                }
+                if (await assignSeat(licenseId, seat, null, result, outcome, snipeService, context)) {
+                    freeSeats.push(seat);
+                }
+            }
+
+            for (const assetId of wanted) {
+                if (seatsByAsset.has(assetId)) {
+                    continue;
+                }
+                const seat = freeSeats.shift();
+                if (!seat) {
+                    outcome.unassigned += 1;
+                    continue;
+                }
+                await assignSeat(licenseId, seat, resultsByAsset.get(assetId).assetId, resultsByAsset.get(assetId),
+                    outcome, snipeService, context);
+            }
+        } catch (error) {
+            context.error(`Failed to sync seats of license ${licenseId}:`, error.message);
+            outcome.errors.push(error.response?.data ? JSON.stringify(error.response.data) : error.message);
+        }
+
+        context.log(`License ${outcome.name || licenseId}: ${outcome.installs} installs, ${outcome.seats} seats, ` +
+            `${outcome.checkedOut} checked out, ${outcome.checkedIn} checked in, ${outcome.unassigned} without a seat`);
+    }
+
+    return outcomes;
+}
+
+/**
+ * Checks a seat out to an asset or in, counting the outcome. A failed seat is recorded on the
+ * license without stopping the remaining seats.
+ * @private
+ * @param {number} licenseId - Snipe-IT license ID
+ * @param {Object} seat - License seat
+ * @param {number|string|null} assetId - Asset to check the seat out to, or null to check it in
+ * @param {Object} result - Device result of the asset, receiving the change
+ * @param {Object} outcome - License outcome being built
+ * @param {SnipeService} snipeService - Snipe-IT service
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<boolean>} True if the seat was updated
+ */
+async function assignSeat(licenseId, seat, assetId, result, outcome, snipeService, context) {
+    try {
+        await snipeService.assignLicenseSeat(licenseId, seat, assetId, result.changes, context);
+        if (assetId === null) {
+            outcome.checkedIn += 1;
+            context.log(`Checked in seat of license ${licenseId} from asset ${result.assetTag || result.assetId}`);
+        } else {
+            outcome.checkedOut += 1;
+            context.log(`Checked out seat of license ${licenseId} to asset ${result.assetTag || result.assetId}`);
+        }
+        return true;
+    } catch (error) {
+        context.error(`Failed to update seat ${seat.id} of license ${licenseId}:`, error.message);
+        outcome.errors.push(error.response?.data ? JSON.stringify(error.response.data) : error.message);
+        return false;
+    }
+}
+
+module.exports = {
+    syncSoftwareLicenses
+};
@@ -0,0 +1,480 @@
+/**
+ * @fileoverview Ninja RMM to Snipe-IT sync pipeline shared by the timer and HTTP triggered functions.
+ * @module syncPipeline
+ * @requires fs/promises
+ * @requires ../services/snipeService
+ * @requires ../services/ninjaService
+ * @requires ../services/ninjaExportSource
+ * @requires ../state/createStateStore
+ * @requires ../rules/deviceMatcher
+ * @requires ../rules/softwareLicenseMap
+ * @requires ../notifications/syncNotifier
+ * @requires ./syncReport
+ * @requires ./softwareLicenses
+ */
+
+const fs = require('fs/promises');
+const SnipeService = require('../services/snipeService');
+const NinjaService = require('../services/ninjaService');
+const NinjaExportSource = require('../services/ninjaExportSource');
+const createStateStore = require('../state/createStateStore');
+const { matchesDevice } = require('../rules/deviceMatcher');
+const SoftwareLicenseMap = require('../rules/softwareLicenseMap');
+const SyncNotifier = require('../notifications/syncNotifier');
+const { buildSyncReport, recordSyncReport } = require('./syncReport');
+const { syncSoftwareLicenses } = require('./softwareLicenses');
+
+/**
+ * Runs in this process holding the sync state, chained so only one loads, changes and saves it at a time.
+ * @private
+ */
+let stateLock = Promise.resolve();
+
+/**
+ * Services reused by device events until they expire, with the Snipe-IT reference data they loaded.
+ * @private
+ */
+let eventServices = null;
+
+/**
+ * Runs a sync: fetches devices from Ninja RMM, optionally filters them and syncs them to Snipe-IT.
+ * Filtered runs and runs from a Ninja export (NinjaExportPath) only cover part of the inventory,
+ * so they never retire missing assets.
+ * When SnipeSoftwareLicenses maps software to licenses, license seats follow the software installed
+ * on the synced devices.
+ * Every run produces a report, which is posted to the configured notifiers; reports of runs
+ * that write to Snipe-IT are also kept in the sync state.
+ * With delta sync enabled, devices unchanged since their last sync are skipped, except on a full
+ * reconcile every SyncFullReconcileHours and on filtered runs, which sync every matched device.
+ * @param {Object} context - Azure Function context for logging
+ * @param {Object} [options={}] - Run options
+ * @param {boolean} [options.dryRun] - Record planned changes instead of writing (defaults to SyncDryRun)
+ * @param {Object} [options.filters] - Device match conditions (deviceId, organization, nodeClass, ...)
+ * @param {boolean} [options.force] - Sync every device even if delta sync is enabled
+ * @param {string} [options.trigger='manual'] - What started the run, recorded in the report
+ * @returns {Promise<Object>} Run outcome: dryRun, deviceCount, per-device results, the run report
+ *   and, in dry-run mode, the plan
+ * @throws {Error} If required environment variables are missing, API calls fail or too many devices
+ *   failed (see SyncMaxErrorPercent); errors after the services are created carry the run report as `report`
+ */
+async function runSync(context, options = {}) {
+    return await withStateLock(() => syncAll(context, options));
+}
+
+/**
+ * Runs a sync while holding the state lock (see runSync).
+ * @private
+ * @param {Object} context - Azure Function context for logging
+ * @param {Object} options - Run options
+ * @returns {Promise<Object>} Run outcome
+ */
+async function syncAll(context, options) {
+    const startedAt = new Date();
+
+    // Validate environment variables
+    await validateEnvironment(context);
+
+    const dryRun = options.dryRun ?? process.env.SyncDryRun === 'true';
+    const filters = options.filters || {};
+    const filtered = Object.keys(filters).length > 0;
+
+    const notifier = SyncNotifier.fromEnvironment();
+    const licenseMap = SoftwareLicenseMap.fromEnvironment();
+    const { ninjaService, snipeService, stateStore } = await createServices(dryRun, context);
+    const run = { runId: context.invocationId, trigger: options.trigger || 'manual', dryRun, startedAt, filters };
+
+    let processedDevices;
+    let results;
+    let licenses;
+    let licenseError;
+    let fullReconcile;
+    try {
+        // Get and process Ninja RMM devices
+        const devices = await fetchDevices(ninjaService, filters, context);
+        processedDevices = ninjaService.processDevices(devices, context);
+
+        if (filtered) {
+            processedDevices = processedDevices.filter(device => matchesDevice(filters, device));
+            context.log(`Filters ${JSON.stringify(filters)} matched ${processedDevices.length} devices`);
+        }
+
+        // Sync with Snipe-IT
+        // Export files cover part of the inventory, so they never count as the full reconcile
+        fullReconcile = !filtered && !ninjaService.partialInventory &&
+            (options.force || isFullReconcileDue(snipeService, stateStore, context));
+        results = await snipeService.syncDevices(processedDevices, context, {
+            retire: !filtered && !ninjaService.partialInventory,
+            force: filtered || fullReconcile || Boolean(options.force)
+        });
+        await writeBackAssetLinks(results, ninjaService, snipeService, stateStore, dryRun, context);
+
+        // License seats are optional: a failure is reported without failing the device sync
+        try {
+            licenses = await syncSoftwareLicenses(results, ninjaService, snipeService, licenseMap, context);
+        } catch (error) {
+            context.error('Failed to sync software license seats:', error.message);
+            licenseError = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+        }
+    } catch (error) {
+        const report = buildSyncReport({ ...run, createdRecords: snipeService.createdRecords, error });
+        if (!dryRun) {
+            recordSyncReport(stateStore, report);
+            await stateStore.save(context);
+        }
+        await notifier.notify(report, context);
+        error.report = report;
+        throw error;
+    }
+
+    const report = buildSyncReport({
+        ...run,
+        deviceCount: processedDevices.length,
+        results,
+        licenses,
+        licenseError,
+        categoryConflicts: snipeService.categoryConflicts,
+        createdRecords: snipeService.createdRecords
+    });
+    context.log(`Sync report ${report.runId}: ${report.status}`, JSON.stringify(report.counts));
+
+    let plan;
+    if (dryRun) {
+        // State is left untouched so a dry-run never advances retirement counters
+        plan = results.filter(result => result.changes.length > 0 || result.action === 'failed');
+        context.log(`Dry-run plan (${plan.length} devices with changes):`, JSON.stringify(plan, null, 2));
+        await savePlan(plan, context);
+    } else {
+        if (fullReconcile && report.status === 'succeeded') {
+            stateStore.get('reconcile').lastFullSync = new Date().toISOString();
+        }
+        recordSyncReport(stateStore, report);
+        await stateStore.save(context);
+    }
+
+    await notifier.notify(report, context);
+
+    if (report.status === 'failed') {
+        const error = new Error(`Sync run ${report.runId} failed: ${report.failureReason}`);
+        error.report = report;
+        throw error;
+    }
+
+    return { dryRun, deviceCount: processedDevices.length, results, report, ...(plan && { plan }) };
+}
+
+/**
+ * Fetches the devices the sync would process from Ninja RMM (or the Ninja export), without touching Snipe-IT.
+ * @param {Object} context - Azure Function context for logging
+ * @param {Object} [options={}] - Options
+ * @param {Object} [options.filters] - Device match conditions (deviceId, organization, nodeClass, ...)
+ * @returns {Promise<Array<Object>>} Normalized devices
+ * @throws {Error} If the Ninja RMM settings are missing or API calls fail
+ */
+async function listDevices(context, options = {}) {
+    // Snipe-IT settings are not needed; the device source checks its own
+    const ninjaService = createDeviceSource();
+    const filters = options.filters || {};
+    const devices = ninjaService.processDevices(await fetchDevices(ninjaService, filters, context), context);
+    return Object.keys(filters).length > 0
+        ? devices.filter(device => matchesDevice(filters, device))
+        : devices;
+}
+
+/**
+ * Fetches the raw devices a run needs. Runs filtered by device ID fetch just those devices;
+ * other runs fetch the whole inventory and are filtered after processing.
+ * @private
+ * @param {Object} ninjaService - Ninja RMM service or export source
+ * @param {Object} filters - Device match conditions
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<Array<Object>>} Raw devices
+ */
+async function fetchDevices(ninjaService, filters, context) {
+    if (!filters.deviceId) {
+        return await ninjaService.getDevices(context);
+    }
+
+    const devices = [];
+    for (const deviceId of [].concat(filters.deviceId)) {
+        const device = await ninjaService.getDevice(deviceId, context);
+        if (device) {
+            devices.push(device);
+        }
+    }
+    return devices;
+}
+
+/**
+ * Syncs a single device in response to a Ninja RMM device event.
+ * Deleted devices have their asset retired immediately; other events re-sync the device.
+ * Only the device's own assets are looked up in Snipe-IT, and the services are reused for
+ * SyncEventCacheSeconds (default 300) so bursts of events share their reference data.
+ * @param {Object} event - Device event
+ * @param {number|string} event.deviceId - Ninja device ID
+ * @param {string} event.action - 'sync' or 'delete'
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<Object>} Sync result for the device
+ * @throws {Error} If required environment variables are missing or API calls fail
+ */
+async function runDeviceEvent(event, context) {
+    return await withStateLock(() => syncDeviceEvent(event, context));
+}
+
+/**
+ * Handles a device event while holding the state lock (see runDeviceEvent).
+ * @private
+ * @param {Object} event - Device event
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<Object>} Sync result for the device
+ */
+async function syncDeviceEvent(event, context) {
+    await validateEnvironment(context);
+
+    const dryRun = process.env.SyncDryRun === 'true';
+    const { ninjaService, snipeService, stateStore } = await createEventServices(dryRun, context);
+
+    let result;
+    if (event.action === 'delete') {
+        result = await snipeService.retireDeletedDevice(event.deviceId, context);
+    } else {
+        const device = await ninjaService.getDevice(event.deviceId, context);
+        const processedDevices = device ? ninjaService.processDevices([device], context) : [];
+
+        if (processedDevices.length === 0) {
+            result = {
+                deviceId: event.deviceId,
+                action: 'skipped',
+                reason: device ? `Node class ${device.nodeClass} is not synced` : 'Device not found in Ninja RMM',
+                dryRun,
+                changes: []
+            };
+        } else {
+            const results = await snipeService.syncDevices(processedDevices, context, { retire: false, force: true, lookup: true });
+            await writeBackAssetLinks(results, ninjaService, snipeService, stateStore, dryRun, context);
+            [result] = results;
+        }
+    }
+
+    if (!dryRun) {
+        await stateStore.save(context);
+    }
+
+    context.log(`Device event ${event.action} for ${event.deviceId}: ${result.action}`);
+    return result;
+}
+
+/**
+ * Runs a task once every earlier task holding the state lock has finished, so runs in this
+ * process (timer, on-demand and device events) never overwrite each other's state.
+ * @private
+ * @param {Function} task - Async function loading, changing and saving the state
+ * @returns {Promise<*>} Result of the task
+ */
+function withStateLock(task) {
+    const run = stateLock.then(task, task);
+    stateLock = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Checks whether a delta sync run is due to sync every device regardless of its fingerprint,
+ * which happens every SyncFullReconcileHours (default 24) to pick up changes made in Snipe-IT.
+ * @private
+ * @param {SnipeService} snipeService - Snipe-IT service
+ * @param {FileStateStore|TableStateStore} stateStore - Sync state
+ * @param {Object} context - Azure Function context for logging
+ * @returns {boolean} True if a full reconcile is due
+ */
+function isFullReconcileDue(snipeService, stateStore, context) {
+    if (!snipeService.deltaSync) {
+        return false;
+    }
+
+    const intervalHours = parseFloat(process.env.SyncFullReconcileHours) || 24;
+    const { lastFullSync } = stateStore.get('reconcile');
+    if (lastFullSync && Date.now() - new Date(lastFullSync).getTime() < intervalHours * 60 * 60 * 1000) {
+        return false;
+    }
+
+    context.log(`Full reconcile due (last full sync: ${lastFullSync || 'never'}), syncing every device`);
+    return true;
+}
+
+/**
+ * Writes each synced asset's tag and Snipe-IT link back into the Ninja device custom fields
+ * named by NinjaAssetTagField and NinjaAssetUrlField. Values written before are remembered in
+ * the state store, so Ninja is only queried for devices whose values may have changed, and
+ * only written when its current values differ. Failures are recorded on the device result.
+ * @private
+ * @param {Array<Object>} results - Per-device sync results
+ * @param {NinjaService} ninjaService - Ninja RMM service
+ * @param {SnipeService} snipeService - Snipe-IT service
+ * @param {FileStateStore|TableStateStore} stateStore - Sync state
+ * @param {boolean} dryRun - Record planned writes instead of sending them
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<void>}
+ */
+async function writeBackAssetLinks(results, ninjaService, snipeService, stateStore, dryRun, context) {
+    if (!ninjaService.assetTagField && !ninjaService.assetUrlField) {
+        return;
+    }
+
+    const written = stateStore.get('ninjaWriteback');
+
+    for (const result of results) {
+        if (!result.deviceId || !result.assetId || !result.assetTag) {
+            continue;
+        }
+
+        const fields = ninjaService.buildAssetLinkFields(result.assetTag, snipeService.getAssetUrl(result.assetId));
+        if (JSON.stringify(written[result.deviceId]) === JSON.stringify(fields)) {
+            continue;
+        }
+
+        try {
+            const current = await ninjaService.getDeviceCustomFields(result.deviceId, context);
+            const before = {};
+            Object.keys(fields).forEach(name => {
+                before[name] = current[name] ?? null;
+            });
+
+            if (JSON.stringify(before) !== JSON.stringify(fields)) {
+                result.changes.push({
+                    method: 'PATCH',
+                    endpoint: `ninja:device/${result.deviceId}/custom-fields`,
+                    resource: 'ninja-custom-fields',
+                    before,
+                    after: fields
+                });
+
+                if (dryRun) {
+                    context.log(`[dry-run] Would update Ninja device ${result.deviceId} custom fields:`, JSON.stringify(fields));
+                    continue;
+                }
+                await ninjaService.updateDeviceCustomFields(result.deviceId, fields, context);
+            }
+
+            written[result.deviceId] = fields;
+        } catch (error) {
+            context.error(`Failed to write asset link back to Ninja device ${result.deviceId}:`, error.message);
+            result.writebackError = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+        }
+    }
+}
+
+/**
+ * Creates the Ninja and Snipe-IT services and loads the sync state.
+ * @private
+ * @param {boolean} dryRun - Record planned changes instead of writing
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<Object>} ninjaService, snipeService and stateStore
+ */
+async function createServices(dryRun, context) {
+    // Initialize services
+    const ninjaService = createDeviceSource();
+
+    const stateStore = createStateStore();
+    await stateStore.load(context);
+
+    const snipeService = new SnipeService(
+        process.env.SnipeBaseURL,
+        process.env.SnipeAPIKey,
+        { dryRun, stateStore }
+    );
+
+    return { ninjaService, snipeService, stateStore };
+}
+
+/**
+ * Gets the services for a device event, reusing those of earlier events until
+ * SyncEventCacheSeconds (default 300, 0 disables reuse) have passed. The sync state is always
+ * loaded fresh, since other runs may have changed it.
+ * @private
+ * @param {boolean} dryRun - Record planned changes instead of writing
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<Object>} ninjaService, snipeService and stateStore
+ */
+async function createEventServices(dryRun, context) {
+    const cacheSeconds = parseInt(process.env.SyncEventCacheSeconds, 10);
+    const cacheMs = (Number.isNaN(cacheSeconds) ? 300 : cacheSeconds) * 1000;
+
+    if (!eventServices || eventServices.dryRun !== dryRun || Date.now() >= eventServices.expiresAt) {
+        const { ninjaService, snipeService } = await createServices(dryRun, context);
+        eventServices = { dryRun, expiresAt: Date.now() + cacheMs, ninjaService, snipeService };
+        return { ninjaService, snipeService, stateStore: snipeService.stateStore };
+    }
+
+    const stateStore = createStateStore();
+    await stateStore.load(context);
+    eventServices.snipeService.stateStore = stateStore;
+    return { ninjaService: eventServices.ninjaService, snipeService: eventServices.snipeService, stateStore };
+}
+
+/**
+ * Creates the device source: the Ninja export file named by NinjaExportPath, or the Ninja RMM API.
+ * @private
+ * @returns {NinjaService|NinjaExportSource} Device source
+ */
+function createDeviceSource() {
+    if (process.env.NinjaExportPath) {
+        return new NinjaExportSource(process.env.NinjaExportPath);
+    }
+
+    return new NinjaService(
+        process.env.NinjaBaseUrl,
+        process.env.NinjaClientID,
+        process.env.NinjaClientSecret
+    );
+}
+
+/**
+ * Validates required environment variables are present.
+ * The Ninja RMM API settings are not needed when devices are read from a Ninja export.
+ * @private
+ * @param {Object} context - Azure Function context for logging
+ * @throws {Error} If required environment variables are missing
+ */
+async function validateEnvironment(context) {
+    context.log('Validating environment variables...');
+    const requiredVars = {
+        FUNCTIONS_WORKER_RUNTIME: process.env.FUNCTIONS_WORKER_RUNTIME,
+        NinjaBaseUrl: process.env.NinjaBaseUrl,
+        NinjaClientID: process.env.NinjaClientID,
+        NinjaClientSecret: process.env.NinjaClientSecret,
+        NinjaExportPath: process.env.NinjaExportPath,
+        SnipeBaseURL: process.env.SnipeBaseURL,
+        SnipeAPIKey: process.env.SnipeAPIKey ? 'exists' : 'missing'
+    };
+
+    context.log('Environment variables:', requiredVars);
+
+    const ninjaConfigured = process.env.NinjaExportPath ||
+        (process.env.NinjaBaseUrl && process.env.NinjaClientID && process.env.NinjaClientSecret);
+    if (!process.env.SnipeBaseURL || !process.env.SnipeAPIKey || !ninjaConfigured) {
+        throw new Error('Required environment variables are missing');
+    }
+}
+
+/**
+ * Writes a dry-run plan to the path named by SyncPlanOutputPath, if set.
+ * @private
+ * @param {Array<Object>} plan - Per-device planned changes
+ * @param {Object} context - Azure Function context for logging
+ * @returns {Promise<void>}
+ */
+async function savePlan(plan, context) {
+    const outputPath = process.env.SyncPlanOutputPath;
+    if (!outputPath) {
+        return;
+    }
+
+    await fs.writeFile(outputPath, JSON.stringify(plan, null, 2));
+    context.log(`Dry-run plan saved to ${outputPath}`);
+}
+
+module.exports = {
+    runSync,
+    runDeviceEvent,
+    listDevices,
+    validateEnvironment
+};
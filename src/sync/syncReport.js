@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Structured reports summarizing each sync run, kept in the sync state.
+ * @module syncReport
+ * @requires crypto
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Device actions counted in every report.
+ * @private
+ */
+const ACTIONS = ['created', 'updated', 'unchanged', 'skipped', 'failed', 'retired'];
+
+/**
+ * Entries kept per list in stored reports, so a report stays within the Table Storage entity size.
+ * @private
+ */
+const MAX_STORED_ENTRIES = 100;
+
+/**
+ * Builds the report of a sync run from its per-device results.
+ * The run counts as failed when it threw, or when the share of failed devices exceeds
+ * SyncMaxErrorPercent (default 10); failed retirements are counted but are not devices.
+ * @param {Object} run - Run details
+ * @param {string} [run.runId] - Run ID (defaults to a random UUID)
+ * @param {string} run.trigger - What started the run ('timer', 'http', ...)
+ * @param {boolean} run.dryRun - Whether changes were only planned
+ * @param {Date} run.startedAt - Start of the run
+ * @param {Object} [run.filters] - Device filters the run was limited to
+ * @param {number} [run.deviceCount=0] - Devices synced
+ * @param {Array<Object>} [run.results=[]] - Per-device sync results
+ * @param {Object} [run.createdRecords] - Names of manufacturers, models and categories created
+ * @param {Array<Object>} [run.categoryConflicts] - Models whose devices match different categories
+ * @param {Array<Object>} [run.licenses] - License seat outcomes of the software stage
+ * @param {string} [run.licenseError] - Error that stopped the software stage
+ * @param {Error} [run.error] - Error that aborted the run
+ * @returns {Object} Sync report
+ */
+function buildSyncReport(run) {
+    const finishedAt = new Date();
+    const results = run.results || [];
+    const deviceCount = run.deviceCount || 0;
+
+    const counts = Object.fromEntries(ACTIONS.map(action => [action, 0]));
+    results.forEach(result => {
+        counts[result.action] = (counts[result.action] || 0) + 1;
+    });
+
+    // Retirement results carry no device ID
+    const failedDevices = results.filter(result => result.action === 'failed' && result.deviceId != null).length;
+    const errorPercent = deviceCount > 0 ? Math.round(failedDevices / deviceCount * 1000) / 10 : 0;
+    const maxErrorPercent = parseFloat(process.env.SyncMaxErrorPercent);
+    const threshold = Number.isNaN(maxErrorPercent) ? 10 : maxErrorPercent;
+
+    let status = 'succeeded';
+    let failureReason;
+    if (run.error) {
+        status = 'failed';
+        failureReason = run.error.message;
+    } else if (errorPercent > threshold) {
+        status = 'failed';
+        failureReason = `${failedDevices} of ${deviceCount} devices failed (${errorPercent}%), above the ${threshold}% threshold`;
+    }
+
+    return {
+        runId: run.runId || crypto.randomUUID(),
+        trigger: run.trigger,
+        status,
+        ...(failureReason && { failureReason }),
+        dryRun: run.dryRun,
+        ...(run.filters && Object.keys(run.filters).length > 0 && { filters: run.filters }),
+        startedAt: run.startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - run.startedAt,
+        deviceCount,
+        counts,
+        errorPercent,
+        created: {
+            manufacturers: run.createdRecords?.manufacturers || [],
+            models: run.createdRecords?.models || [],
+            categories: run.createdRecords?.categories || []
+        },
+        errors: results
+            .filter(result => result.action === 'failed')
+            .map(result => ({
+                deviceId: result.deviceId,
+                systemName: result.systemName,
+                serialNumber: result.serialNumber,
+                error: result.error
+            })),
+        retired: results
+            .filter(result => result.action === 'retired')
+            .map(result => ({
+                assetId: result.assetId,
+                assetTag: result.assetTag,
+                systemName: result.systemName,
+                serialNumber: result.serialNumber
+            })),
+        writebackErrors: results
+            .filter(result => result.writebackError)
+            .map(result => ({
+                deviceId: result.deviceId,
+                systemName: result.systemName,
+                serialNumber: result.serialNumber,
+                error: result.writebackError
+            })),
+        componentErrors: results
+            .filter(result => result.componentError)
+            .map(result => ({
+                deviceId: result.deviceId,
+                systemName: result.systemName,
+                assetId: result.assetId,
+                assetTag: result.assetTag,
+                error: result.componentError
+            })),
+        conflicts: results
+            .filter(result => result.conflicts)
+            .flatMap(result => result.conflicts.map(conflict => ({
+                deviceId: result.deviceId,
+                systemName: result.systemName,
+                assetId: result.assetId,
+                assetTag: result.assetTag,
+                ...conflict
+            }))),
+        categoryConflicts: run.categoryConflicts || [],
+        licenses: run.licenses || [],
+        overAllocatedLicenses: (run.licenses || [])
+            .filter(license => license.installs > license.seats)
+            .map(license => ({
+                licenseId: license.licenseId,
+                name: license.name,
+                seats: license.seats,
+                installs: license.installs,
+                excess: license.installs - license.seats
+            })),
+        licenseErrors: [
+            ...(run.licenseError ? [{ licenseId: null, name: null, error: run.licenseError }] : []),
+            ...(run.licenses || []).flatMap(license => license.errors.map(error => ({
+                licenseId: license.licenseId,
+                name: license.name,
+                error
+            })))
+        ]
+    };
+}
+
+/**
+ * Stores a report in the "reports" state namespace, keeping the SyncReportHistory (default 50)
+ * most recent runs. Lists longer than MAX_STORED_ENTRIES are cut short, with their full length
+ * kept in truncatedLists.
+ * @param {FileStateStore|TableStateStore} stateStore - Sync state
+ * @param {Object} report - Sync report
+ */
+function recordSyncReport(stateStore, report) {
+    const stored = { ...report };
+    const truncatedLists = {};
+    Object.entries(report)
+        .filter(([, value]) => Array.isArray(value) && value.length > MAX_STORED_ENTRIES)
+        .forEach(([name, list]) => {
+            stored[name] = list.slice(0, MAX_STORED_ENTRIES);
+            truncatedLists[name] = list.length;
+        });
+    if (Object.keys(truncatedLists).length > 0) {
+        stored.truncatedLists = truncatedLists;
+    }
+
+    const reports = stateStore.get('reports');
+    reports[report.runId] = stored;
+
+    const history = parseInt(process.env.SyncReportHistory, 10) || 50;
+    listSyncReports(stateStore)
+        .slice(history)
+        .forEach(old => delete reports[old.runId]);
+}
+
+/**
+ * Lists stored reports, most recent first.
+ * @param {FileStateStore|TableStateStore} stateStore - Sync state
+ * @returns {Array<Object>} Sync reports
+ */
+function listSyncReports(stateStore) {
+    return Object.values(stateStore.get('reports'))
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Reduces a report to its summary, without the per-device error, retirement, conflict and license lists.
+ * @param {Object} report - Sync report
+ * @returns {Object} Report summary with error, conflict and over-allocation counts
+ */
+function summarizeSyncReport(report) {
+    const {
+        errors, writebackErrors, componentErrors, retired, created, conflicts, categoryConflicts, licenses, overAllocatedLicenses,
+        licenseErrors, truncatedLists, ...summary
+    } = report;
+    // Reports stored before conflicts, components and licenses were tracked have no lists
+    const count = (name, list) => truncatedLists?.[name] ?? (list ? list.length : 0);
+    return {
+        ...summary,
+        createdCount: created.manufacturers.length + created.models.length + created.categories.length,
+        errorCount: count('errors', errors),
+        writebackErrorCount: count('writebackErrors', writebackErrors),
+        componentErrorCount: count('componentErrors', componentErrors),
+        conflictCount: count('conflicts', conflicts),
+        categoryConflictCount: count('categoryConflicts', categoryConflicts),
+        overAllocatedCount: count('overAllocatedLicenses', overAllocatedLicenses),
+        licenseErrorCount: count('licenseErrors', licenseErrors)
+    };
+}
+
+module.exports = {
+    buildSyncReport,
+    recordSyncReport,
+    listSyncReports,
+    summarizeSyncReport
+};
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Helpers for reading structured settings from the environment.
+ * @module config
+ * @requires fs
+ * @requires path
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Loads a JSON setting from an environment variable.
+ * The variable may hold inline JSON (starting with "{" or "[") or a path to a JSON file,
+ * resolved relative to the working directory.
+ * @param {string} name - Environment variable name
+ * @returns {Object|Array|null} Parsed setting, or null if the variable is not set
+ * @throws {Error} If the JSON is invalid or the file cannot be read
+ */
+function loadJsonSetting(name) {
+    const value = process.env[name];
+    if (!value || !value.trim()) {
+        return null;
+    }
+
+    const trimmed = value.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`${name} contains invalid JSON: ${error.message}`);
+        }
+    }
+
+    const filePath = path.resolve(trimmed);
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to load ${name} from ${filePath}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    loadJsonSetting
+};
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Stable content hashes used to detect devices that changed since the last sync.
+ * @module fingerprint
+ * @requires crypto
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Serializes a value to JSON with object keys sorted, so equal content always gives equal text.
+ * Regular expressions are serialized by their source and flags, and Maps and Sets as sorted
+ * lists of their entries.
+ * @private
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON text
+ */
+function canonicalize(value) {
+    if (value instanceof RegExp) {
+        return JSON.stringify(value.toString());
+    }
+    if (value instanceof Map) {
+        const entries = [...value].map(([key, entry]) => `[${canonicalize(key)},${canonicalize(entry)}]`).sort();
+        return `[${entries.join(',')}]`;
+    }
+    if (value instanceof Set) {
+        return `[${[...value].map(canonicalize).sort().join(',')}]`;
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Computes a SHA-256 fingerprint of a value's content, independent of object key order.
+ * @param {*} value - Value to fingerprint
+ * @returns {string} Hex encoded hash
+ */
+function fingerprint(value) {
+    return crypto.createHash('sha256').update(canonicalize(value)).digest('hex');
+}
+
+module.exports = { fingerprint };
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Parsing of numbers formatted for display, such as prices.
+ * @module numbers
+ */
+
+/**
+ * Parses a number that may carry a currency symbol and thousands separators. A comma followed by
+ * one or two final digits is a decimal comma ("1.299,00"); otherwise commas separate thousands
+ * ("$1,299.00").
+ * @param {*} value - Number or formatted text
+ * @returns {number} Parsed number, or NaN if the value holds no number
+ */
+function parseFormattedNumber(value) {
+    let text = String(value ?? '').replace(/[^0-9.,-]/g, '');
+    text = /,\d{1,2}$/.test(text) ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+    return text === '' ? NaN : Number(text);
+}
+
+module.exports = { parseFormattedNumber };
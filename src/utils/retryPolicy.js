@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Retry policy for HTTP requests to the Ninja RMM and Snipe-IT APIs.
+ * @module RetryPolicy
+ */
+
+/**
+ * HTTP statuses worth retrying: timeouts, rate limiting and transient server errors.
+ * @private
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Network error codes worth retrying for idempotent requests.
+ * @private
+ */
+const RETRYABLE_ERROR_CODES = [
+    'ECONNRESET',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT',
+    'ECONNREFUSED',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ENETUNREACH',
+    'EHOSTUNREACH',
+    'ERR_NETWORK'
+];
+
+/**
+ * Errors raised before a request reaches the server, so even non-idempotent requests
+ * (e.g. a POST creating an asset) can be retried without risk of duplicates.
+ * @private
+ */
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+/**
+ * Class representing a retry policy with exponential backoff and jitter.
+ * Honors Retry-After and X-RateLimit-* response headers, retries transient failures and
+ * fails fast on other 4xx responses.
+ */
+class RetryPolicy {
+    /**
+     * Create a RetryPolicy instance.
+     * @param {Object} [options={}] - Policy settings
+     * @param {number} [options.maxAttempts=5] - Attempts per request, including the first
+     * @param {number} [options.baseDelayMs=1000] - Backoff delay before the first retry
+     * @param {number} [options.maxDelayMs=30000] - Upper bound for backoff delays
+     * @param {number} [options.maxRetryAfterMs=120000] - Longest server-requested wait that is honored;
+     *   longer waits fail the request instead of stalling the run
+     * @param {number} [options.timeoutMs=30000] - Per-request timeout for HTTP clients using this policy
+     */
+    constructor(options = {}) {
+        this.maxAttempts = Math.max(options.maxAttempts || 5, 1);
+        this.baseDelayMs = options.baseDelayMs ?? 1000;
+        this.maxDelayMs = options.maxDelayMs ?? 30000;
+        this.maxRetryAfterMs = options.maxRetryAfterMs ?? 120000;
+        this.timeoutMs = options.timeoutMs ?? 30000;
+
+        // Set when a response reports an exhausted rate limit; later requests wait until then
+        this.pausedUntil = 0;
+    }
+
+    /**
+     * Builds a policy from the HttpMaxAttempts, HttpRetryBaseDelayMs, HttpRetryMaxDelayMs,
+     * HttpMaxRetryAfterMs and HttpTimeoutMs settings.
+     * @returns {RetryPolicy} Configured policy
+     */
+    static fromEnvironment() {
+        const read = name => {
+            const value = parseInt(process.env[name], 10);
+            return Number.isNaN(value) ? undefined : value;
+        };
+
+        return new RetryPolicy({
+            maxAttempts: read('HttpMaxAttempts'),
+            baseDelayMs: read('HttpRetryBaseDelayMs'),
+            maxDelayMs: read('HttpRetryMaxDelayMs'),
+            maxRetryAfterMs: read('HttpMaxRetryAfterMs'),
+            timeoutMs: read('HttpTimeoutMs')
+        });
+    }
+
+    /**
+     * Runs a request, retrying transient failures.
+     * @param {Function} requestFn - Function that returns a promise for the request
+     * @param {Object} context - Azure Function context for logging
+     * @param {Object} [options={}] - Request options
+     * @param {string} [options.description='request'] - Request description for log messages
+     * @param {boolean} [options.idempotent=true] - Whether the request may be repeated after it
+     *   possibly reached the server; non-idempotent requests only retry 429s and connection failures
+     * @returns {Promise<Object>} Response of the first successful attempt
+     * @throws {Error} The last error if the request cannot be completed
+     */
+    async execute(requestFn, context, options = {}) {
+        const description = options.description || 'request';
+        const idempotent = options.idempotent !== false;
+
+        for (let attempt = 1; ; attempt++) {
+            const pause = this.pausedUntil - Date.now();
+            if (pause > 0) {
+                context.log(`Rate limit exhausted, waiting ${pause}ms before ${description}`);
+                await sleep(pause);
+            }
+
+            try {
+                const response = await requestFn();
+                this.recordRateLimit(response?.headers);
+                return response;
+            } catch (error) {
+                if (attempt >= this.maxAttempts || !this.isRetryable(error, idempotent)) {
+                    throw error;
+                }
+
+                const serverDelay = this.getServerDelay(error.response?.headers);
+                if (serverDelay !== null && serverDelay > this.maxRetryAfterMs) {
+                    context.error(`${description} asked to retry after ${serverDelay}ms, longer than the ${this.maxRetryAfterMs}ms limit`);
+                    throw error;
+                }
+
+                const delay = serverDelay ?? this.getBackoffDelay(attempt);
+                context.log(`Retrying ${description} in ${delay}ms (attempt ${attempt + 1}/${this.maxAttempts}): ${describeError(error)}`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Checks whether a failed request may be retried.
+     * @private
+     * @param {Error} error - Request error
+     * @param {boolean} idempotent - Whether the request may be repeated
+     * @returns {boolean} True if the request should be retried
+     */
+    isRetryable(error, idempotent) {
+        const status = error.response?.status;
+        if (status !== undefined) {
+            if (!idempotent) {
+                return status === 429;
+            }
+            return RETRYABLE_STATUSES.includes(status);
+        }
+
+        if (!idempotent) {
+            return NOT_SENT_ERROR_CODES.includes(error.code);
+        }
+        return RETRYABLE_ERROR_CODES.includes(error.code) || /timeout/i.test(error.message || '');
+    }
+
+    /**
+     * Computes the exponential backoff delay for an attempt, with jitter between half and the full delay.
+     * @private
+     * @param {number} attempt - Number of the attempt that failed (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    getBackoffDelay(attempt) {
+        const delay = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Reads the wait requested by the server through Retry-After or X-RateLimit-Reset.
+     * @private
+     * @param {Object} [headers] - Response headers
+     * @returns {number|null} Delay in milliseconds, or null if the server did not ask for one
+     */
+    getServerDelay(headers) {
+        const retryAfter = readHeader(headers, 'retry-after');
+        if (retryAfter !== undefined) {
+            const seconds = Number(retryAfter);
+            if (!Number.isNaN(seconds)) {
+                return Math.max(seconds * 1000, 0);
+            }
+            const date = Date.parse(retryAfter);
+            if (!Number.isNaN(date)) {
+                return Math.max(date - Date.now(), 0);
+            }
+        }
+
+        if (readHeader(headers, 'x-ratelimit-remaining') === '0') {
+            return this.getRateLimitResetDelay(headers);
+        }
+        return null;
+    }
+
+    /**
+     * Reads X-RateLimit-Reset, which APIs send either as epoch seconds or as seconds until reset.
+     * @private
+     * @param {Object} [headers] - Response headers
+     * @returns {number|null} Delay in milliseconds, or null if the header is missing
+     */
+    getRateLimitResetDelay(headers) {
+        const reset = Number(readHeader(headers, 'x-ratelimit-reset'));
+        if (!reset || Number.isNaN(reset)) {
+            return null;
+        }
+        const resetMs = reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000;
+        return Math.max(resetMs, 0);
+    }
+
+    /**
+     * Pauses later requests when a successful response reports an exhausted rate limit.
+     * @private
+     * @param {Object} [headers] - Response headers
+     */
+    recordRateLimit(headers) {
+        if (readHeader(headers, 'x-ratelimit-remaining') !== '0') {
+            return;
+        }
+        const delay = this.getRateLimitResetDelay(headers);
+        if (delay !== null) {
+            this.pausedUntil = Date.now() + Math.min(delay, this.maxRetryAfterMs);
+        }
+    }
+}
+
+/**
+ * Reads a header case-insensitively from a plain object or axios headers instance.
+ * @private
+ * @param {Object} [headers] - Response headers
+ * @param {string} name - Lower-case header name
+ * @returns {string|undefined} Header value
+ */
+function readHeader(headers, name) {
+    if (!headers) {
+        return undefined;
+    }
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    return value === undefined || value === null ? undefined : String(value);
+}
+
+/**
+ * Summarizes a request error for retry log messages.
+ * @private
+ * @param {Error} error - Request error
+ * @returns {string} Short description
+ */
+function describeError(error) {
+    if (error.response) {
+        return `HTTP ${error.response.status}`;
+    }
+    return error.code || error.message;
+}
+
+/**
+ * Waits for the given time.
+ * @private
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = RetryPolicy;